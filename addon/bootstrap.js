@@ -41,6 +41,9 @@ async function startup({ id, version, rootURI }, reason) {
 }
 
 function shutdown({ id, version, rootURI }, reason) {
+    // Context caches are billed while they live, so they go even when Zotero quits
+    Zotero.PaperChat?.ContextCache?.clear();
+
     if (reason === APP_SHUTDOWN) {
         return;
     }
@@ -48,6 +51,9 @@ function shutdown({ id, version, rootURI }, reason) {
     // Remove from all windows and cleanup
     Zotero.PaperChat?.removeFromAllWindows();
     Zotero.PaperChat?.unregisterNotifyListeners();
+    Zotero.PaperChat?.ReaderIntegration?.unregister();
+    Zotero.PaperChat?.BatchQueue?.stop();
+    Zotero.PaperChat?.ConversationStore?.close().catch(e => Zotero.logError(e));
 
     // Unregister chrome
     chromeHandle?.destruct();
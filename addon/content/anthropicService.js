@@ -0,0 +1,196 @@
+/* global Zotero, PaperChat, fetch */
+/* Anthropic Messages API Service for Paper Chat */
+
+(function () {
+    const ANTHROPIC_API_BASE = "https://api.anthropic.com/v1";
+    const ANTHROPIC_VERSION = "2023-06-01";
+    // Structured output is a forced call of this tool, whose input is the answer
+    const RESPONSE_TOOL = "record_response";
+
+    /**
+     * Anthropic Service - Messages API provider
+     */
+    PaperChat.AnthropicService = {
+        id: "anthropic",
+        label: "Anthropic",
+        requiresAPIKey: true,
+        defaultBaseURL: ANTHROPIC_API_BASE,
+        nativePDF: "inline",
+
+        /**
+         * Build the messages request
+         * @param {Object} params - See LLMService provider interface
+         * @returns {Object} - { url, headers, body }
+         */
+        buildRequest({ apiKey, baseURL, model, systemPrompt, pdfContent, history, message, images, documents, stream, responseSchema, quoteCitations }) {
+            const body = {
+                model,
+                messages: this.buildMessages(message, history, images, documents),
+                temperature: 0.7,
+                max_tokens: 8192,
+                stream: !!stream,
+            };
+            if (pdfContent !== null) {
+                body.system = PaperChat.LLMService.buildContextText(systemPrompt, pdfContent, documents, quoteCitations);
+            }
+            if (responseSchema) {
+                body.tools = [{
+                    name: RESPONSE_TOOL,
+                    description: "Record the answer in the required structure.",
+                    input_schema: responseSchema
+                }];
+                body.tool_choice = { type: "tool", name: RESPONSE_TOOL };
+            }
+
+            return {
+                url: `${baseURL || ANTHROPIC_API_BASE}/messages`,
+                headers: this.getHeaders(apiKey),
+                body
+            };
+        },
+
+        /**
+         * Request headers for the Anthropic API
+         */
+        getHeaders(apiKey) {
+            return {
+                "Content-Type": "application/json",
+                "x-api-key": apiKey,
+                "anthropic-version": ANTHROPIC_VERSION,
+                "anthropic-dangerous-direct-browser-access": "true",
+            };
+        },
+
+        /**
+         * Build the messages array for the API request
+         */
+        buildMessages(message, conversationHistory, images, documents = []) {
+            const messages = [];
+
+            // Add conversation history (roles must alternate, so merge consecutive turns)
+            for (const msg of conversationHistory) {
+                const role = msg.role === "user" ? "user" : "assistant";
+                const last = messages[messages.length - 1];
+                if (last && last.role === role) {
+                    last.content += "\n\n" + msg.content;
+                } else {
+                    messages.push({ role, content: msg.content });
+                }
+            }
+
+            // Add current message, with images if provided
+            const content = [];
+            for (const img of images || []) {
+                content.push({
+                    type: "image",
+                    source: { type: "base64", media_type: img.mimeType || "image/png", data: img.data }
+                });
+            }
+            content.push({ type: "text", text: message });
+
+            const last = messages[messages.length - 1];
+            if (last && last.role === "user") {
+                last.content = [{ type: "text", text: last.content }, ...content];
+            } else {
+                messages.push({ role: "user", content });
+            }
+
+            // PDF files can't go in the system prompt; they lead the first user turn
+            if (documents.length > 0) {
+                const first = messages[0];
+                const blocks = documents.map(doc => ({
+                    type: "document",
+                    source: { type: "base64", media_type: doc.mimeType, data: doc.data },
+                    title: doc.title
+                }));
+                first.content = typeof first.content === "string"
+                    ? [...blocks, { type: "text", text: first.content }]
+                    : [...blocks, ...first.content];
+            }
+
+            return messages;
+        },
+
+        /**
+         * Parse the API response
+         */
+        parseResponse(data) {
+            if (!data.content || data.content.length === 0) {
+                throw new Error("No response generated");
+            }
+
+            // A structured answer is the input of the forced tool call
+            const toolUse = data.content.find(block => block.type === "tool_use" && block.name === RESPONSE_TOOL);
+            const text = toolUse
+                ? JSON.stringify(toolUse.input)
+                : data.content
+                    .filter(block => block.type === "text")
+                    .map(block => block.text)
+                    .join("");
+
+            return {
+                text,
+                usage: data.usage
+            };
+        },
+
+        /**
+         * Parse one streamed (SSE) event
+         * Usage arrives split across message_start (input) and message_delta (output),
+         * which readStream merges.
+         */
+        parseStreamEvent(data) {
+            switch (data.type) {
+                case "message_start":
+                    return { text: "", usage: data.message?.usage };
+                case "content_block_delta":
+                    return { text: data.delta?.type === "text_delta" ? data.delta.text : "" };
+                case "message_delta":
+                    return { text: "", usage: data.usage };
+                case "error":
+                    throw new Error(data.error?.message || "Stream error");
+                default:
+                    return { text: "" };
+            }
+        },
+
+        /**
+         * Token counts from the usage object; input_tokens leaves out cache reads and writes
+         */
+        getTokenCounts(usage) {
+            if (!usage?.input_tokens && !usage?.cache_read_input_tokens) return null;
+            const cached = usage.cache_read_input_tokens || 0;
+            return {
+                inputTokens: (usage.input_tokens || 0) + cached + (usage.cache_creation_input_tokens || 0),
+                outputTokens: usage.output_tokens || 0,
+                cachedTokens: cached
+            };
+        },
+
+        /**
+         * Extract the error message from an error response body
+         */
+        getErrorMessage(data) {
+            return data.error?.message;
+        },
+
+        /**
+         * Test API connection
+         */
+        async testConnection({ apiKey, baseURL }) {
+            const response = await fetch(`${baseURL || ANTHROPIC_API_BASE}/models`, {
+                headers: this.getHeaders(apiKey)
+            });
+
+            if (response.ok) {
+                return { success: true };
+            } else {
+                return { success: false, error: `HTTP ${response.status}` };
+            }
+        }
+    };
+
+    PaperChat.LLMService.registerProvider(PaperChat.AnthropicService);
+
+    Zotero.debug("Paper Chat: Anthropic Service module loaded");
+})();
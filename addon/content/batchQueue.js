@@ -0,0 +1,448 @@
+/* global Zotero, PaperChat */
+/* Batch Queue - Run a prompt over many items in the background */
+
+(function () {
+    // Attempts per task for rate limits, server and network errors
+    const MAX_ATTEMPTS = 3;
+    // After a task gives up on a rate limit, nothing new starts for this long
+    const RATE_LIMIT_COOLDOWN_MS = 60000;
+    // Successes in a row before concurrency goes back up by one
+    const SUCCESSES_TO_RAMP_UP = 5;
+    // The batchTasks table (see ConversationStore.getDB)
+    const MIGRATIONS = [
+        async (db) => {
+            await db.queryAsync(`CREATE TABLE IF NOT EXISTS batchTasks (
+                taskID INTEGER PRIMARY KEY,
+                itemID INTEGER NOT NULL,
+                action TEXT NOT NULL,
+                label TEXT NOT NULL,
+                prompt TEXT NOT NULL,
+                output TEXT NOT NULL,
+                status TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                error TEXT,
+                createdAt INTEGER NOT NULL,
+                updatedAt INTEGER NOT NULL
+            )`);
+            await db.queryAsync("CREATE INDEX IF NOT EXISTS batchTasks_status ON batchTasks(status)");
+        },
+        // Prompt templates can ask for a model
+        db => db.queryAsync("ALTER TABLE batchTasks ADD COLUMN model TEXT")
+    ];
+
+    /**
+     * Batch Queue - tasks (one item + one prompt) persist in the batchTasks table
+     * of paperchat.sqlite, so the queue and its paused state survive a restart.
+     *
+     * Task status: "queued" -> "running" -> "done" | "failed"
+     * Task output: "note" (child note), "extra" (a line in Extra) or "fields" (metadata action)
+     */
+    PaperChat.BatchQueue = {
+        running: false,
+        stopped: false, // Plugin shutting down
+        active: new Map(), // taskID -> AbortController
+        limit: 1, // Current concurrency, lowered on rate limits
+        successes: 0,
+        cooldownUntil: 0,
+        listeners: new Set(),
+
+        /**
+         * Resume the queue left from the last session (unless it was paused)
+         */
+        async init() {
+            const db = await this.getDB();
+            // Tasks interrupted by the restart start over
+            await db.queryAsync("UPDATE batchTasks SET status = 'queued' WHERE status = 'running'");
+            if (!this.isPaused()) {
+                this.run();
+            }
+        },
+
+        /**
+         * Queue a prompt for items
+         * @param {Array<Zotero.Item>} items - Items (each is processed with its first PDF)
+         * @param {Object} task - { action, label, prompt, output, model }: the prompt may use
+         *   PromptLibrary variables, filled in for each item
+         * @returns {Promise<number>} - Number of tasks queued
+         */
+        async enqueue(items, { action, label, prompt, output, model = null }) {
+            const db = await this.getDB();
+            const now = Date.now();
+
+            await db.executeTransaction(async () => {
+                for (const item of items) {
+                    await db.queryAsync(
+                        "INSERT INTO batchTasks (itemID, action, label, prompt, output, model, status, createdAt, updatedAt) "
+                        + "VALUES (?, ?, ?, ?, ?, ?, 'queued', ?, ?)",
+                        [item.id, action, label, prompt, output, model || null, now, now]
+                    );
+                }
+            });
+
+            Zotero.debug(`Paper Chat: Queued ${items.length} batch tasks (${label})`);
+            this.notify();
+            if (!this.isPaused()) {
+                this.run();
+            }
+            return items.length;
+        },
+
+        /**
+         * Process queued tasks until none are left or the queue is paused
+         */
+        async run() {
+            if (this.running) return;
+            this.running = true;
+            this.limit = this.getConcurrency();
+            this.notify();
+
+            try {
+                const running = new Map();
+                while (!this.isPaused() && !this.stopped) {
+                    const wait = this.cooldownUntil - Date.now();
+                    if (wait > 0 && running.size === 0) {
+                        await Zotero.Promise.delay(Math.min(wait, 1000));
+                        continue;
+                    }
+
+                    while (wait <= 0 && running.size < this.limit && !this.isPaused() && !this.stopped) {
+                        const task = await this.takeNextTask();
+                        if (!task) break;
+                        running.set(task.taskID, this.processTask(task).finally(() => running.delete(task.taskID)));
+                    }
+
+                    if (running.size === 0) {
+                        if (this.cooldownUntil > Date.now()) continue;
+                        break;
+                    }
+                    await Promise.race([...running.values(), Zotero.Promise.delay(1000)]);
+                }
+                await Promise.all(running.values());
+            } catch (e) {
+                Zotero.logError(`Paper Chat: Batch queue stopped: ${e}`);
+            } finally {
+                this.running = false;
+                this.notify();
+            }
+        },
+
+        /**
+         * Mark the oldest queued task as running and return it
+         */
+        async takeNextTask() {
+            const db = await this.getDB();
+            const row = (await db.queryAsync(
+                "SELECT * FROM batchTasks WHERE status = 'queued' ORDER BY taskID LIMIT 1"
+            ))[0];
+            if (!row) return null;
+
+            const task = { ...this.rowToTask(row), status: "running" };
+            await this.updateTask(task);
+            return task;
+        },
+
+        /**
+         * Run one task and record the outcome
+         */
+        async processTask(task) {
+            const abortController = new AbortController();
+            this.active.set(task.taskID, abortController);
+            const signal = abortController.signal;
+
+            try {
+                const item = await Zotero.Items.getAsync(task.itemID);
+                if (!item) {
+                    throw new Error("The item no longer exists");
+                }
+                const [entry] = await PaperChat.PDFExtractor.getPDFItems([item]);
+                if (!entry) {
+                    throw new Error("No PDF attachment");
+                }
+
+                // Over a blocking daily budget the queue pauses (queueing this task again);
+                // a warning budget can't ask in the background, so it lets tasks run
+                const checkBudget = async (estimate) => {
+                    const budget = await PaperChat.UsageTracker?.checkBudget(estimate);
+                    if (budget?.block) {
+                        Zotero.debug(`Paper Chat: ${PaperChat.UsageTracker.formatBudgetWarning(budget)} Pausing the batch queue.`);
+                        this.pause();
+                        signal.throwIfAborted();
+                    }
+                };
+
+                // OCR of a scan is checked against the budget too, before its requests
+                const options = { signal, onStatus: (text) => this.onTaskStatus(text), model: task.model };
+                const content = await PaperChat.PDFExtractor.extractContent(entry.attachment.id, { ...options, checkBudget });
+                const paper = { ...content, title: entry.item.getField("title") || "Untitled" };
+                const text = PaperChat.PDFExtractor.truncateToTokenLimit(paper.text || "", PaperChat.getContextTokenLimit());
+                await checkBudget(PaperChat.PDFExtractor.estimateTokens(text));
+
+                if (task.action === "metadata") {
+                    await this.fillMetadata(entry.item, paper, options);
+                } else {
+                    const variables = PaperChat.PromptLibrary
+                        .getItemVariables(entry.item.isRegularItem() ? [entry.item] : []);
+                    const prompt = PaperChat.PromptLibrary.render(task.prompt, variables);
+                    // Notes turn quote citations into links; the Extra field would keep the raw markers
+                    const response = await PaperChat.LLMService.sendMessage(
+                        prompt,
+                        PaperChat.RetrievalIndex.formatPaper(paper, text),
+                        [],
+                        [],
+                        { ...options, quoteCitations: task.output !== "extra" }
+                    );
+                    await this.saveResult(task, entry, prompt, response.text);
+                }
+
+                task.status = "done";
+                task.error = null;
+                this.onTaskSuccess();
+            } catch (e) {
+                if (signal.aborted) {
+                    // Paused: the task runs again on resume
+                    task.status = "queued";
+                } else if (this.isRetryable(e) && task.attempts + 1 < MAX_ATTEMPTS) {
+                    task.status = "queued";
+                    task.attempts++;
+                    task.error = e.message;
+                    if (e.status === 429) this.onRateLimited();
+                } else {
+                    task.status = "failed";
+                    task.error = e.message;
+                    if (e.status === 429) this.onRateLimited();
+                    Zotero.debug(`Paper Chat: Batch task ${task.taskID} failed: ${e}`);
+                }
+            } finally {
+                this.active.delete(task.taskID);
+                // On shutdown the task stays "running" and init() queues it again
+                if (this.stopped) return;
+                await this.updateTask(task);
+                this.notify();
+            }
+        },
+
+        /**
+         * Fill the item's empty fields from extracted metadata and add its keywords as tags
+         * (values that are already set are never replaced without review)
+         */
+        async fillMetadata(item, paper, options) {
+            if (!item.isRegularItem()) {
+                throw new Error("The PDF has no parent item");
+            }
+            const metadata = await PaperChat.MetadataExtractor.extract(paper, options);
+            const changes = PaperChat.MetadataExtractor.buildChanges(item, metadata)
+                .filter(change => change.changed && (!change.current || change.id === "keywords"));
+            if (changes.length > 0) {
+                await PaperChat.MetadataExtractor.applyChanges(item, changes);
+            }
+        },
+
+        /**
+         * Save an answer as a child note, or as a line in the item's Extra field
+         */
+        async saveResult(task, entry, prompt, text) {
+            if (task.output === "extra") {
+                if (!entry.item.isRegularItem()) {
+                    throw new Error("The PDF has no parent item");
+                }
+                PaperChat.MetadataExtractor.setExtraLine(entry.item, `Paper Chat ${task.label}`, text.replace(/\s+/g, " ").trim());
+                await entry.item.saveTx();
+            } else {
+                await PaperChat.NoteExporter.saveMessageAsNote(prompt, text, [entry]);
+            }
+        },
+
+        /**
+         * Rate limits, server errors and network failures (a TypeError from fetch) are worth
+         * another attempt later; anything else (a missing item or PDF, no API key, an invalid
+         * answer) would fail the same way again
+         */
+        isRetryable(error) {
+            if (error.status) {
+                return error.status === 429 || error.status >= 500;
+            }
+            return error.name === "TypeError";
+        },
+
+        /**
+         * Slow down when the provider reports rate limits while retrying
+         */
+        onTaskStatus(text) {
+            if (text.startsWith("HTTP 429") && this.limit > 1) {
+                this.limit = 1;
+                this.successes = 0;
+                Zotero.debug("Paper Chat: Rate limited, running batch tasks one at a time");
+            }
+        },
+
+        /**
+         * A task ran out of retries on a rate limit: pause new work for a while
+         */
+        onRateLimited() {
+            this.limit = 1;
+            this.successes = 0;
+            this.cooldownUntil = Date.now() + RATE_LIMIT_COOLDOWN_MS;
+        },
+
+        /**
+         * Go back up towards the configured concurrency after a run of successes
+         */
+        onTaskSuccess() {
+            this.successes++;
+            if (this.successes >= SUCCESSES_TO_RAMP_UP && this.limit < this.getConcurrency()) {
+                this.limit++;
+                this.successes = 0;
+            }
+        },
+
+        /**
+         * Pause the queue; running tasks are stopped and queued again
+         */
+        pause() {
+            Zotero.Prefs.set("extensions.zotero.paperchat.batchPaused", true, true);
+            for (const controller of this.active.values()) {
+                controller.abort();
+            }
+            this.notify();
+        },
+
+        /**
+         * Resume a paused queue
+         */
+        resume() {
+            Zotero.Prefs.set("extensions.zotero.paperchat.batchPaused", false, true);
+            this.cooldownUntil = 0;
+            this.run();
+        },
+
+        /**
+         * Stop running tasks when the plugin shuts down, without pausing the queue
+         */
+        stop() {
+            this.stopped = true;
+            for (const controller of this.active.values()) {
+                controller.abort();
+            }
+            this.listeners.clear();
+        },
+
+        /**
+         * Queue failed tasks again
+         */
+        async retryFailed() {
+            const db = await this.getDB();
+            await db.queryAsync(
+                "UPDATE batchTasks SET status = 'queued', attempts = 0, error = NULL, updatedAt = ? WHERE status = 'failed'",
+                [Date.now()]
+            );
+            this.notify();
+            if (!this.isPaused()) {
+                this.run();
+            }
+        },
+
+        /**
+         * Forget finished tasks, and with all = true cancel the queued ones too
+         */
+        async clear(all = false) {
+            const db = await this.getDB();
+            const statuses = all ? "'done', 'failed', 'queued'" : "'done', 'failed'";
+            await db.queryAsync(`DELETE FROM batchTasks WHERE status IN (${statuses})`);
+            this.notify();
+        },
+
+        /**
+         * Count tasks by status
+         * @returns {Promise<Object>} - { queued, running, done, failed, total }
+         */
+        async getCounts() {
+            const db = await this.getDB();
+            const counts = { queued: 0, running: 0, done: 0, failed: 0, total: 0 };
+            const rows = await db.queryAsync("SELECT status, COUNT(*) AS count FROM batchTasks GROUP BY status");
+            for (const row of rows) {
+                counts[row.status] = row.count;
+                counts.total += row.count;
+            }
+            return counts;
+        },
+
+        /**
+         * List failed tasks with their errors
+         * @returns {Promise<Array<Object>>} - Tasks
+         */
+        async getFailedTasks() {
+            const db = await this.getDB();
+            const rows = await db.queryAsync("SELECT * FROM batchTasks WHERE status = 'failed' ORDER BY taskID");
+            return rows.map(row => this.rowToTask(row));
+        },
+
+        /**
+         * Whether the queue is paused (kept across restarts)
+         */
+        isPaused() {
+            return !!Zotero.Prefs.get("extensions.zotero.paperchat.batchPaused", true);
+        },
+
+        /**
+         * Number of tasks run at once when there are no rate limits
+         */
+        getConcurrency() {
+            const value = parseInt(Zotero.Prefs.get("extensions.zotero.paperchat.batchConcurrency", true), 10);
+            return Math.min(Math.max(value || 2, 1), 8);
+        },
+
+        /**
+         * Call a function whenever the queue changes
+         * @returns {Function} - Unsubscribe
+         */
+        addListener(listener) {
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        },
+
+        notify() {
+            for (const listener of this.listeners) {
+                try {
+                    listener();
+                } catch (e) {
+                    Zotero.logError(e);
+                }
+            }
+        },
+
+        /**
+         * Save a task's status, attempts and error
+         */
+        async updateTask(task) {
+            const db = await this.getDB();
+            await db.queryAsync(
+                "UPDATE batchTasks SET status = ?, attempts = ?, error = ?, updatedAt = ? WHERE taskID = ?",
+                [task.status, task.attempts, task.error || null, Date.now(), task.taskID]
+            );
+        },
+
+        rowToTask(row) {
+            return {
+                taskID: row.taskID,
+                itemID: row.itemID,
+                action: row.action,
+                label: row.label,
+                prompt: row.prompt,
+                output: row.output,
+                model: row.model,
+                status: row.status,
+                attempts: row.attempts,
+                error: row.error
+            };
+        },
+
+        /**
+         * The database, with the task table
+         */
+        getDB() {
+            return PaperChat.ConversationStore.getDB("batchQueue", MIGRATIONS);
+        }
+    };
+
+    Zotero.debug("Paper Chat: Batch Queue module loaded");
+})();
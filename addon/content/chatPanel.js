@@ -1,4 +1,4 @@
-/* global Zotero, PaperChat */
+/* global Zotero, PaperChat, Services, ChromeUtils */
 /* Chat Panel UI - Chat interface for Paper Chat */
 
 (function () {
@@ -9,9 +9,18 @@
         currentBody: null,
         currentItems: [], // Changed from single currentItem
         currentAttachment: null, // Keep for backward compat/single mode
+        currentThreadID: null, // Active thread within the current context (null = not yet created)
+        activeThreads: new Map(), // Last selected thread per context key
         isLoading: false,
-        pdfContent: null,
+        abortController: null,
+        selectionContext: null, // Reader selection the next question is about
+        images: [], // Page images attached to the next question
+        collectionContext: null, // { id, name, itemIDs } when chatting with a collection or saved search
+        papers: null, // Extracted content of the context's papers
+        retrievalIndex: null, // Passage index over `papers`
+        contextCacheName: null, // Provider cache of the papers' context, from the last answer
         listenersAttached: false,
+        batchListener: null, // Subscribed to BatchQueue progress
 
         /**
          * Initialize chat panel within Item Pane Section
@@ -25,6 +34,16 @@
                 this.setupEventListeners(body);
             }, 100);
 
+            // Follow the batch queue's progress
+            if (PaperChat.BatchQueue && !this.batchListener) {
+                this.batchListener = () => this.renderBatchBar();
+                PaperChat.BatchQueue.addListener(this.batchListener);
+            }
+            this.renderBatchBar();
+
+            // Buttons of the prompt library (edited in preferences)
+            this.renderPromptButtons();
+
             // Initialize with item
             if (item) {
                 this.initializeForItem(item);
@@ -46,6 +65,7 @@
 
             // Find elements
             const sendBtn = body.querySelector("#paper-chat-send");
+            const stopBtn = body.querySelector("#paper-chat-stop");
             const input = body.querySelector("#paper-chat-input");
             const quickActions = body.querySelector("#paper-chat-quick-actions");
 
@@ -60,6 +80,69 @@
                 };
             }
 
+            // Drop the attached reader selection
+            const selectionClear = body.querySelector("#paper-chat-selection-clear");
+            if (selectionClear) {
+                selectionClear.onclick = (e) => {
+                    e.stopPropagation();
+                    this.setSelectionContext(null);
+                };
+            }
+
+            // Leave a collection chat
+            const collectionClose = body.querySelector("#paper-chat-collection-close");
+            if (collectionClose) {
+                collectionClose.onclick = (e) => {
+                    e.stopPropagation();
+                    this.leaveCollection();
+                };
+            }
+
+            // Batch queue controls
+            const batchToggle = body.querySelector("#paper-chat-batch-toggle");
+            if (batchToggle) {
+                batchToggle.onclick = (e) => {
+                    e.stopPropagation();
+                    if (PaperChat.BatchQueue.isPaused()) {
+                        PaperChat.BatchQueue.resume();
+                    } else {
+                        PaperChat.BatchQueue.pause();
+                    }
+                };
+            }
+            const batchRetry = body.querySelector("#paper-chat-batch-retry");
+            if (batchRetry) {
+                batchRetry.onclick = (e) => {
+                    e.stopPropagation();
+                    PaperChat.BatchQueue.retryFailed();
+                };
+            }
+            const batchClear = body.querySelector("#paper-chat-batch-clear");
+            if (batchClear) {
+                batchClear.onclick = (e) => {
+                    e.stopPropagation();
+                    this.clearBatch();
+                };
+            }
+
+            // Attach the page open in the reader
+            const attachPageBtn = body.querySelector("#paper-chat-attach-page");
+            if (attachPageBtn) {
+                attachPageBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    this.attachCurrentPage();
+                };
+            }
+
+            // Stop button click
+            if (stopBtn) {
+                stopBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    Zotero.debug("Paper Chat: Stop button clicked");
+                    this.stopGeneration();
+                };
+            }
+
             // Input handling - Force interactions
             if (input) {
                 // Force focus on click
@@ -93,7 +176,7 @@
 
             // Quick action buttons
             if (quickActions) {
-                const buttons = quickActions.querySelectorAll("button");
+                const buttons = quickActions.querySelectorAll("button[data-action]");
                 buttons.forEach(btn => {
                     btn.onclick = () => {
                         const action = btn.getAttribute("data-action");
@@ -103,6 +186,22 @@
                 });
             }
 
+            // Thread bar
+            const threadSelect = body.querySelector("#paper-chat-thread-select");
+            if (threadSelect) {
+                threadSelect.onmousedown = (e) => e.stopPropagation();
+                threadSelect.onkeydown = (e) => e.stopPropagation();
+                threadSelect.onchange = () => {
+                    this.switchThread(parseInt(threadSelect.value, 10) || null);
+                };
+            }
+            body.querySelectorAll("#paper-chat-thread-bar button").forEach(btn => {
+                btn.onclick = (e) => {
+                    e.stopPropagation();
+                    this.handleThreadAction(btn.getAttribute("data-thread-action"));
+                };
+            });
+
             // Search input handling
             const searchInput = body.querySelector("#paper-chat-search-input");
             if (searchInput) {
@@ -129,15 +228,26 @@
         /**
          * Update for item selection (Single or Multiple)
          * items: Array of { item: ZoteroItem, attachment: ZoteroItem (optional) }
+         * collectionContext: { id, name, itemIDs } to chat with a whole collection (optional)
          */
-        async updateForItems(items) {
+        async updateForItems(items, collectionContext = null) {
             if (!items || items.length === 0) return;
 
+            // Selecting papers inside the collection being chatted with keeps the collection chat
+            if (this.collectionContext && !collectionContext &&
+                items.every(x => this.collectionContext.itemIDs.has(x.item.id))) {
+                return;
+            }
+            this.collectionContext = collectionContext;
+            this.renderCollectionBar();
+
             Zotero.debug(`Paper Chat: updateForItems with ${items.length} items`);
 
             this.currentItems = items;
             // Reset content cache whenever selection changes
-            this.pdfContent = null;
+            this.papers = null;
+            this.releaseContextCache();
+            this.clearImages();
 
             // For single item compatibility
             if (items.length === 1) {
@@ -167,14 +277,16 @@
                 this.currentAttachment = null;
             }
 
-            // Generate Composite ID for history
-            this.currentID = this.currentItems.map(x => x.item.id).sort().join('_');
+            // Generate Composite ID for history (collections keep theirs as papers come and go)
+            this.currentID = collectionContext
+                ? collectionContext.id
+                : this.currentItems.map(x => x.item.id).sort().join('_');
 
             // Update status
             const pdfCount = this.currentItems.filter(x => x.attachment).length;
             this.updateStatus(pdfCount > 0 ? `Chatting with ${pdfCount} paper(s)` : "No PDFs found");
 
-            this.loadExistingConversation();
+            await this.loadExistingConversation();
         },
 
         /**
@@ -191,24 +303,50 @@
         /**
          * Load existing conversation for current item context
          */
-        loadExistingConversation() {
+        async loadExistingConversation() {
             if (!this.currentBody) return;
 
             const messagesContainer = this.currentBody.querySelector("#paper-chat-messages");
             if (!messagesContainer) return;
 
+            const contextID = this.currentID;
+            const threads = contextID && PaperChat.ConversationStore
+                ? await PaperChat.ConversationStore.listThreads(contextID)
+                : [];
+
+            // Keep the thread last used in this context, else the most recently updated one
+            const remembered = this.activeThreads.get(contextID);
+            const thread = threads.find(t => t.threadID === remembered) || threads[0] || null;
+            const history = thread ? await PaperChat.ConversationStore.getHistory(thread.threadID) : [];
+
+            // Selection may have changed while the history was loading
+            if (contextID !== this.currentID) return;
+
+            this.currentThreadID = thread?.threadID || null;
+            this.renderThreadBar(threads);
+
             messagesContainer.innerHTML = "";
 
-            if (this.currentID && PaperChat.ConversationStore) {
-                const history = PaperChat.ConversationStore.getHistory(this.currentID);
-                if (history && history.length > 0) {
-                    for (const msg of history) {
-                        this.appendMessage(msg.role, msg.content, false);
+            if (history.length > 0) {
+                let question = null;
+                for (const msg of history) {
+                    const messageDiv = this.appendMessage(msg.role, msg.content, false);
+                    if (!messageDiv) continue;
+                    if (msg.role === "user") {
+                        question = msg.content;
+                    } else if (msg.cancelled) {
+                        this.markCancelled(messageDiv);
+                    } else {
+                        this.addMessageActions(messageDiv, question, msg.content);
+                        this.setMessageUsage(messageDiv, msg.usage);
                     }
-                    return;
                 }
+                await this.renderThreadUsage(this.currentThreadID);
+                return;
             }
 
+            await this.renderThreadUsage(null);
+
             // Show welcome message
             const count = this.currentItems.length;
             const welcomeMsg = count > 1
@@ -225,7 +363,7 @@
             Zotero.debug(`Paper Chat: handleQuickAction called with ${action}`);
 
             if (action === "clear") {
-                this.clearConversation();
+                await this.clearConversation();
                 this.updateStatus("Conversation cleared");
                 return;
             }
@@ -240,36 +378,115 @@
                 return;
             }
 
-            if (!PaperChat.GeminiService) {
-                Zotero.debug("Paper Chat: GeminiService not available");
+            if (action === "save-note") {
+                await this.saveConversationAsNote();
+                return;
+            }
+
+            if (action === "metadata") {
+                await this.extractMetadata();
+                return;
+            }
+
+            if (action === "compare") {
+                this.toggleCompareUI();
+                return;
+            }
+
+            if (action === "collection") {
+                await this.chatWithSelectedCollection();
+                return;
+            }
+
+            if (action === "batch") {
+                await this.queueBatch();
+                return;
+            }
+
+            const template = PaperChat.PromptLibrary?.getTemplate(action);
+            if (template) {
+                await this.runTemplate(template);
+            }
+        },
+
+        /**
+         * Run a prompt library template on the current papers
+         * @param {Object} template - Template from PromptLibrary
+         */
+        async runTemplate(template) {
+            if (this.isLoading) return;
+
+            // e.g. figures are explained from an image of the page open in the reader
+            if (template.attachPage && this.images.length === 0 && !await this.attachCurrentPage()) {
                 return;
             }
 
-            const prompt = PaperChat.GeminiService.getQuickActionPrompt(action);
             const input = this.currentBody?.querySelector("#paper-chat-input");
             if (input) {
-                input.value = prompt;
+                input.value = PaperChat.PromptLibrary.render(template.template, this.getTemplateVariables());
             }
 
-            await this.sendMessage();
+            await this.sendMessage({ model: template.model });
+        },
+
+        /**
+         * Values for template variables from the chat's papers, the reader selection and the open page
+         */
+        getTemplateVariables() {
+            const items = this.currentItems.map(x => x.item).filter(item => item.isRegularItem());
+            const variables = PaperChat.PromptLibrary.getItemVariables(items);
+            variables.selection = this.selectionContext?.text || "";
+
+            const open = this.currentItems
+                .filter(x => x.attachment)
+                .map(x => ({ id: x.attachment.id, page: PaperChat.PDFNavigator.getCurrentPage(x.attachment.id) }))
+                .find(x => x.page);
+            variables.currentPage = open
+                ? PaperChat.PDFNavigator.pageLabels.get(open.id)?.[open.page - 1] || String(open.page)
+                : "";
+            return variables;
+        },
+
+        /**
+         * Show a button for each visible template, in library order
+         */
+        renderPromptButtons() {
+            const container = this.currentBody?.querySelector("#paper-chat-prompt-buttons");
+            if (!container || !PaperChat.PromptLibrary) return;
+
+            const doc = container.ownerDocument;
+            container.replaceChildren();
+            for (const template of PaperChat.PromptLibrary.getVisibleTemplates()) {
+                const btn = doc.createElement("button");
+                btn.dataset.template = template.id;
+                btn.textContent = template.icon ? `${template.icon} ${template.name}` : template.name;
+                btn.title = template.model ? `${template.template}\n\nModel: ${template.model}` : template.template;
+                btn.onclick = () => {
+                    Zotero.debug(`Paper Chat: Prompt template clicked: ${template.id}`);
+                    this.runTemplate(template);
+                };
+                container.appendChild(btn);
+            }
         },
 
         /**
          * Send a message
+         * @param {Object} options - Optional { model } to ask another model than the selected one
          */
-        async sendMessage() {
+        async sendMessage(options = {}) {
             Zotero.debug("Paper Chat: sendMessage called");
 
             if (this.isLoading) return;
 
             const input = this.currentBody?.querySelector("#paper-chat-input");
-            const message = input?.value?.trim();
+            let message = input?.value?.trim();
 
             if (!message) return;
 
             // ... API Key logic (omitted for brevity, keep existing) ...
+            const provider = PaperChat.LLMService.getProvider();
             const savedKey = PaperChat.getAPIKey();
-            if (!savedKey && message.startsWith("AI") && message.length > 30) {
+            if (!savedKey && provider.id === "gemini" && message.startsWith("AI") && message.length > 30) {
                 PaperChat.setAPIKey(message);
                 this.appendMessage("user", "********");
                 this.appendMessage("assistant", "✅ API key saved!", false);
@@ -279,9 +496,12 @@
             }
 
             // Check API key
-            if (!savedKey) {
+            if (!savedKey && provider.requiresAPIKey) {
                 this.updateStatus("Please enter API key");
-                this.appendMessage("assistant", "⚠️ helper: Please enter your Gemini API key below.", false);
+                const hint = provider.id === "gemini"
+                    ? "Please enter your Gemini API key below."
+                    : `Please set your ${provider.label} API key in preferences.`;
+                this.appendMessage("assistant", `⚠️ helper: ${hint}`, false);
                 return;
             }
 
@@ -293,6 +513,23 @@
                 return;
             }
 
+            // A question about a reader selection carries the selection (shown and saved)
+            // and the text around it (sent to the model only)
+            let prompt = message;
+            const selection = this.selectionContext;
+            if (selection) {
+                message = `${message}\n\n❝ "${selection.text}" (p. ${selection.pageLabel})`;
+                prompt = this.buildSelectionPrompt(prompt, selection);
+                this.setSelectionContext(null);
+            }
+
+            // Attached images go with this question only; the history keeps a note of them
+            const images = this.images;
+            if (images.length > 0) {
+                message = `${message}\n\n🖼️ ${images.map(img => img.label).join(", ")}`;
+                this.clearImages();
+            }
+
             // Clear input
             input.value = "";
 
@@ -303,48 +540,139 @@
             this.setLoading(true);
             this.updateStatus(`Reading ${pdfItems.length} paper(s)...`);
 
+            // Assistant bubble, created on the first streamed chunk
+            let messageDiv = null;
+            const abortController = new AbortController();
+            this.abortController = abortController;
+
+            // Replies go to the thread that was active when the question was asked
+            let threadID = null;
+
+            // In native PDF mode the files themselves are sent instead of their text
+            const native = !!PaperChat.NativePDF?.isEnabled(provider);
+            let documents = [];
+            // Reading scans, summaries and embeddings are checked against the budget as they come
+            const checkBudget = this.createBudgetCheck();
+
             try {
-                // Extract PDF content if not already done
-                if (!this.pdfContent) {
-                    let combinedText = "";
-
-                    for (const itemObj of pdfItems) {
-                        const title = itemObj.item.getField("title") || "Untitled";
-                        try {
-                            this.updateStatus(`Reading: ${title.substring(0, 20)}...`);
-                            const content = await PaperChat.PDFExtractor.extractContent(itemObj.attachment.id);
-                            const text = PaperChat.PDFExtractor.truncateToTokenLimit(content.text); // Note: might need to adjust limit for multiple
-
-                            combinedText += `\n\n--- Start of Paper: ${title} ---\n${text}\n--- End of Paper ---\n`;
-                        } catch (err) {
-                            Zotero.debug(`Paper Chat: Failed to read ${title}: ${err}`);
-                            combinedText += `\n\n--- Error Reading Paper: ${title} ---\n`;
+                threadID = await this.ensureThread(message);
+
+                // Get conversation history using Composite ID (only the most recent turns are sent)
+                const fullHistory = await PaperChat.ConversationStore?.getHistory(threadID) || [];
+                const history = fullHistory.slice(-PaperChat.getMaxHistoryLength());
+
+                let context;
+                let documentTokens = 0;
+                if (native) {
+                    documentTokens = await PaperChat.NativePDF.estimateTokens(pdfItems.map(x => x.attachment), provider);
+                    documents = await PaperChat.NativePDF.getDocuments(
+                        pdfItems.map(x => x.attachment),
+                        provider,
+                        { onStatus: (text) => this.updateStatus(text), signal: abortController.signal }
+                    );
+                    context = { text: documents.map((doc, i) => `${i + 1}. ${doc.title}`).join("\n") };
+                } else {
+                    await this.loadPapers(pdfItems, abortController.signal, checkBudget);
+
+                    // Stop may have been pressed while reading
+                    abortController.signal.throwIfAborted();
+
+                    // Whole papers when they fit, otherwise the passages relevant to this question
+                    // (the previous question helps with follow-ups like "and its limitations?")
+                    const previousQuestion = history.filter(m => m.role === "user").pop()?.content || "";
+                    context = await PaperChat.RetrievalIndex.buildContext(
+                        this.papers,
+                        `${message}\n${previousQuestion}`,
+                        this.retrievalIndex,
+                        {
+                            onStatus: (text) => this.updateStatus(text),
+                            signal: abortController.signal,
+                            summarize: !!this.collectionContext,
+                            checkBudget
                         }
-                    }
-                    this.pdfContent = combinedText;
+                    );
                 }
 
-                // Get conversation history using Composite ID
-                const history = PaperChat.ConversationStore?.getHistory(this.currentID) || [];
+                // The daily budget is checked against the context about to be sent (and the PDF files)
+                const text = [context.text, ...history.map(m => m.content), prompt].join("\n");
+                await checkBudget(PaperChat.PDFExtractor.estimateTokens(text) + documentTokens);
 
-                // Send to Gemini
+                // Send to the configured provider, updating the bubble as chunks arrive
                 this.updateStatus("Thinking...");
-                const response = await PaperChat.GeminiService.sendMessage(
-                    message,
-                    this.pdfContent,
-                    history
+                const response = await PaperChat.LLMService.sendMessage(
+                    prompt,
+                    context.text,
+                    history,
+                    images,
+                    {
+                        onChunk: (text) => {
+                            if (messageDiv) {
+                                this.updateMessage(messageDiv, text);
+                            } else {
+                                messageDiv = this.appendMessage("assistant", text);
+                                this.updateStatus("Receiving...");
+                            }
+                        },
+                        onStatus: (text) => this.updateStatus(text),
+                        signal: abortController.signal,
+                        model: options.model,
+                        documents,
+                        // Only a context that stays the same across questions is worth caching
+                        cacheContext: !context.passageCount
+                    }
                 );
 
-                // Add response to UI
-                this.appendMessage("assistant", response.text, true, response.references);
+                // Add response to UI (page references are linked on the final text only)
+                if (messageDiv) {
+                    this.updateMessage(messageDiv, response.text, true, response.references);
+                } else {
+                    messageDiv = this.appendMessage("assistant", response.text, true, response.references);
+                }
+                const usage = { ...response.usage, model: response.model };
+                if (messageDiv) {
+                    this.addMessageActions(messageDiv, message, response.text);
+                    this.setMessageUsage(messageDiv, usage);
+                }
 
                 // Save to history
-                PaperChat.ConversationStore?.addMessage(this.currentID, "user", message);
-                PaperChat.ConversationStore?.addMessage(this.currentID, "assistant", response.text);
-
-                this.updateStatus("Ready");
+                await PaperChat.ConversationStore?.addMessage(threadID, "user", message);
+                await PaperChat.ConversationStore?.addMessage(threadID, "assistant", response.text, { usage });
+                await this.renderThreadUsage(threadID);
+
+                const passages = context.passageCount ? ` · ${context.passageCount} passages` : "";
+                const files = native ? ` · ${documents.length} PDF file(s)` : "";
+                const ocr = native ? "" : this.getOCRNote();
+                this.contextCacheName = response.cacheName;
+                const cached = response.cached ? " · cached context" : "";
+                this.updateStatus(`Ready · answered by ${response.model}${passages}${files}${ocr}${cached}`);
             } catch (e) {
+                if (e.name === "AbortError") {
+                    await this.handleCancelled(threadID, message, e.partialText || "", messageDiv);
+                    return;
+                }
+
                 Zotero.logError(`Paper Chat: Error sending message: ${e}`);
+
+                // An uploaded file the provider rejects (deleted, expired early) is uploaded again next time
+                if (documents.some(doc => doc.uri) && [400, 403, 404].includes(e.status)) {
+                    await PaperChat.NativePDF.forget(pdfItems.map(x => x.attachment.id), provider.id);
+                }
+
+                // Keep whatever was streamed before the connection dropped
+                if (e.partialText) {
+                    const partial = `${e.partialText}\n\n⚠️ Response interrupted: ${e.message}`;
+                    const references = PaperChat.LLMService.extractPageReferences(e.partialText);
+                    if (messageDiv) {
+                        this.updateMessage(messageDiv, partial, true, references);
+                    } else {
+                        this.appendMessage("assistant", partial, true, references);
+                    }
+                    await PaperChat.ConversationStore?.addMessage(threadID, "user", message);
+                    await PaperChat.ConversationStore?.addMessage(threadID, "assistant", e.partialText);
+                    this.updateStatus("Response interrupted");
+                    return;
+                }
+
                 if (e.message && (e.message.includes("403") || e.message.includes("API key"))) {
                     this.appendMessage("assistant", `❌ API Key Error.`, false);
                 } else {
@@ -352,132 +680,1410 @@
                 }
                 this.updateStatus("Error occurred");
             } finally {
+                if (this.abortController === abortController) {
+                    this.abortController = null;
+                }
                 this.setLoading(false);
             }
         },
 
         /**
-         * Append a message to the chat
+         * Extract the text of the context's papers, if not already done
+         * @param {Array} pdfItems - Context items with an attachment
+         * @param {AbortSignal} signal - Stops OCR of a scan
+         * @param {Function} checkBudget - Budget check from createBudgetCheck, before OCR of a scan
          */
-        appendMessage(role, content, parseReferences = false, references = []) {
-            const messagesContainer = this.currentBody?.querySelector("#paper-chat-messages");
-            if (!messagesContainer) return;
-
-            const doc = messagesContainer.ownerDocument;
-            const messageDiv = doc.createElement("div");
-            messageDiv.className = `paper-chat-message paper-chat-message-${role}`;
+        async loadPapers(pdfItems, signal = null, checkBudget = null) {
+            if (this.papers) return;
+
+            const papers = [];
+            for (const [i, itemObj] of pdfItems.entries()) {
+                const title = itemObj.item.getField("title") || "Untitled";
+                try {
+                    const progress = pdfItems.length > 1 ? ` ${i + 1}/${pdfItems.length}` : "";
+                    this.updateStatus(`Reading${progress}: ${title.substring(0, 20)}...`);
+                    const content = await PaperChat.PDFExtractor.extractContent(itemObj.attachment.id, {
+                        onStatus: (text) => this.updateStatus(text),
+                        signal,
+                        checkBudget
+                    });
+                    papers.push({ ...content, title });
+                } catch (err) {
+                    // A stopped OCR run must not leave the paper marked unreadable
+                    if (err.name === "AbortError" || err.name === "BudgetError") throw err;
+                    Zotero.debug(`Paper Chat: Failed to read ${title}: ${err}`);
+                    papers.push({ title, error: true });
+                }
+            }
+            this.papers = papers;
+            this.retrievalIndex = PaperChat.RetrievalIndex.createIndex(papers);
+        },
 
-            const contentDiv = doc.createElement("div");
-            contentDiv.className = "paper-chat-message-content";
+        /**
+         * Delete the provider cache of the previous papers' context, which no question will use again
+         */
+        releaseContextCache() {
+            if (this.contextCacheName) {
+                PaperChat.ContextCache?.release(this.contextCacheName);
+                this.contextCacheName = null;
+            }
+        },
 
-            if (parseReferences && this.currentAttachment && PaperChat.PDFNavigator) {
-                // Parse and link page references
-                const fragment = PaperChat.PDFNavigator.parseAndLinkReferences(
-                    content,
-                    this.currentAttachment.id,
-                    doc
-                );
-                contentDiv.appendChild(fragment);
-            } else {
-                contentDiv.textContent = content;
+        /**
+         * Status line note for papers read with OCR, saying when a long scan was only partly transcribed
+         */
+        getOCRNote() {
+            const partial = this.papers?.find(p => p.partial);
+            if (partial) {
+                return ` · OCR text, first ${partial.pages.length} of ${partial.pageCount} pages of "${partial.title.substring(0, 20)}"`;
             }
+            return this.papers?.some(p => p.ocr) ? " · OCR text" : "";
+        },
 
-            messageDiv.appendChild(contentDiv);
+        /**
+         * Ask for a structured comparison of the papers and show it as a table
+         * @param {Array<string>} labels - Dimensions to compare on
+         */
+        async runComparison(labels) {
+            if (this.isLoading) return;
 
-            // Add page reference buttons if available
-            if (references && references.length > 0 && this.currentAttachment && PaperChat.PDFNavigator) {
-                const refsDiv = doc.createElement("div");
-                refsDiv.className = "paper-chat-references";
-                refsDiv.appendChild(doc.createTextNode("📄 Go to: "));
+            const pdfItems = this.currentItems.filter(x => x.attachment);
+            if (pdfItems.length < 2) {
+                this.updateStatus("Add at least two papers to compare");
+                return;
+            }
 
-                for (const pageNum of references.slice(0, 5)) {
-                    const refBtn = doc.createElement("button");
-                    refBtn.className = "paper-chat-ref-btn";
-                    refBtn.textContent = `p.${pageNum}`;
-                    refBtn.onclick = () => {
-                        PaperChat.PDFNavigator.navigateToPage(this.currentAttachment.id, pageNum);
-                    };
-                    refsDiv.appendChild(refBtn);
-                }
+            const dimensions = PaperChat.ComparisonTable.createDimensions(labels);
+            const question = `📊 Compare: ${labels.join(", ")}`;
+            this.appendMessage("user", question);
+            this.setLoading(true);
 
-                messageDiv.appendChild(refsDiv);
-            }
+            const abortController = new AbortController();
+            this.abortController = abortController;
 
-            messagesContainer.appendChild(messageDiv);
+            try {
+                const threadID = await this.ensureThread(question);
+                const checkBudget = this.createBudgetCheck();
+
+                await this.loadPapers(pdfItems, abortController.signal, checkBudget);
+                abortController.signal.throwIfAborted();
+
+                const context = await PaperChat.RetrievalIndex.buildContext(
+                    this.papers,
+                    labels.join(" "),
+                    this.retrievalIndex,
+                    {
+                        onStatus: (text) => this.updateStatus(text),
+                        signal: abortController.signal,
+                        summarize: !!this.collectionContext,
+                        checkBudget
+                    }
+                );
 
-            // Scroll to bottom
-            messagesContainer.scrollTop = messagesContainer.scrollHeight;
-        },
+                await checkBudget(PaperChat.PDFExtractor.estimateTokens(context.text));
+
+                this.updateStatus("Comparing...");
+                const response = await PaperChat.LLMService.sendMessage(
+                    PaperChat.ComparisonTable.buildPrompt(dimensions, this.papers),
+                    context.text,
+                    [],
+                    [],
+                    {
+                        onStatus: (text) => this.updateStatus(text),
+                        signal: abortController.signal,
+                        responseSchema: PaperChat.ComparisonTable.buildSchema(dimensions)
+                    }
+                );
 
-        /**
-         * Set loading state
-         */
-        setLoading(loading) {
-            this.isLoading = loading;
+                const table = PaperChat.ComparisonTable.parseResponse(response.text, dimensions, this.papers);
+                this.appendComparison(table);
 
-            const sendBtn = this.currentBody?.querySelector("#paper-chat-send");
-            const input = this.currentBody?.querySelector("#paper-chat-input");
+                // The history keeps the table as Markdown
+                await PaperChat.ConversationStore?.addMessage(threadID, "user", question);
+                await PaperChat.ConversationStore?.addMessage(threadID, "assistant", PaperChat.ComparisonTable.toMarkdown(table), {
+                    usage: { ...response.usage, model: response.model }
+                });
+                await this.renderThreadUsage(threadID);
 
-            if (sendBtn) {
-                sendBtn.disabled = loading;
-                sendBtn.textContent = loading ? "..." : "Send";
-            }
-            if (input) {
-                input.disabled = loading;
+                this.updateStatus(`Ready · answered by ${response.model}`);
+            } catch (e) {
+                if (e.name === "AbortError") {
+                    this.updateStatus("Comparison cancelled");
+                    return;
+                }
+                Zotero.logError(`Paper Chat: Comparison failed: ${e}`);
+                this.appendMessage("assistant", `❌ Error: ${e.message}`, false);
+                this.updateStatus("Error occurred");
+            } finally {
+                if (this.abortController === abortController) {
+                    this.abortController = null;
+                }
+                this.setLoading(false);
             }
         },
 
         /**
-         * Update status display
+         * Show a comparison table with its export actions
          */
-        updateStatus(text) {
-            const statusDiv = this.currentBody?.querySelector("#paper-chat-status");
-            if (statusDiv) {
-                statusDiv.textContent = text;
-            }
+        appendComparison(table) {
+            const messageDiv = this.appendMessage("assistant", "", false);
+            if (!messageDiv) return;
+
+            const doc = messageDiv.ownerDocument;
+            const contentDiv = messageDiv.querySelector(".paper-chat-message-content");
+            contentDiv.replaceChildren(PaperChat.ComparisonTable.render(table, doc));
+
+            const actionsDiv = doc.createElement("div");
+            actionsDiv.className = "paper-chat-message-actions";
+
+            const csvBtn = doc.createElement("button");
+            csvBtn.className = "paper-chat-action-btn";
+            csvBtn.textContent = "📋 Export CSV";
+            csvBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.exportComparisonCSV(table);
+            };
+
+            const noteBtn = doc.createElement("button");
+            noteBtn.className = "paper-chat-action-btn";
+            noteBtn.textContent = "📝 Save as note";
+            noteBtn.title = "Save this table as a Zotero note";
+            noteBtn.onclick = async (e) => {
+                e.stopPropagation();
+                noteBtn.disabled = true;
+                try {
+                    await PaperChat.NoteExporter.saveComparisonAsNote(table, this.currentItems);
+                    this.updateStatus("Saved comparison as note");
+                } catch (err) {
+                    Zotero.logError(`Paper Chat: Failed to save note: ${err}`);
+                    this.updateStatus(`Could not save note: ${err.message}`);
+                }
+                noteBtn.disabled = false;
+            };
+
+            actionsDiv.append(csvBtn, noteBtn);
+            messageDiv.appendChild(actionsDiv);
         },
 
         /**
-         * Show the chat panel
+         * Save a comparison table to a CSV file chosen by the user
          */
-        show() {
-            Zotero.debug("Paper Chat: Show chat panel");
+        async exportComparisonCSV(table) {
+            try {
+                const { FilePicker } = ChromeUtils.importESModule("chrome://zotero/content/modules/filePicker.mjs");
+                const fp = new FilePicker();
+                fp.init(Zotero.getMainWindow(), "Export Comparison", fp.modeSave);
+                fp.appendFilter("CSV", "*.csv");
+                fp.defaultString = "comparison.csv";
+
+                const result = await fp.show();
+                if (result !== fp.returnOK && result !== fp.returnReplace) return;
+
+                await Zotero.File.putContentsAsync(fp.file, PaperChat.ComparisonTable.toCSV(table));
+                this.updateStatus("Exported comparison");
+            } catch (e) {
+                Zotero.logError(`Paper Chat: CSV export failed: ${e}`);
+                this.updateStatus(`Could not export: ${e.message}`);
+            }
         },
 
         /**
-         * Clear conversation for current item
+         * Extract the paper's metadata and show how it differs from the item
          */
-        clearConversation() {
-            if (this.currentID) {
-                PaperChat.ConversationStore?.clearHistory(this.currentID);
-                this.pdfContent = null;
-                this.loadExistingConversation();
-            } else if (this.currentItem) {
-                PaperChat.ConversationStore?.clearHistory(this.currentItem.id);
-                this.pdfContent = null;
-                this.loadExistingConversation();
+        async extractMetadata() {
+            if (this.isLoading) return;
+
+            const pdfItems = this.currentItems.filter(x => x.attachment);
+            if (pdfItems.length !== 1) {
+                this.updateStatus("Metadata is extracted for one paper at a time");
+                return;
+            }
+            const item = pdfItems[0].item;
+            if (!item.isRegularItem()) {
+                this.updateStatus("Create a parent item for this PDF first");
+                return;
+            }
+
+            this.setLoading(true);
+            const abortController = new AbortController();
+            this.abortController = abortController;
+
+            try {
+                const checkBudget = this.createBudgetCheck();
+                await this.loadPapers(pdfItems, abortController.signal, checkBudget);
+                abortController.signal.throwIfAborted();
+
+                const text = PaperChat.PDFExtractor.truncateToTokenLimit(this.papers[0].text || "", PaperChat.getContextTokenLimit());
+                await checkBudget(PaperChat.PDFExtractor.estimateTokens(text));
+
+                this.updateStatus("Extracting metadata...");
+                const metadata = await PaperChat.MetadataExtractor.extract(this.papers[0], {
+                    onStatus: (text) => this.updateStatus(text),
+                    signal: abortController.signal
+                });
+
+                const changes = PaperChat.MetadataExtractor.buildChanges(item, metadata);
+                this.showMetadataChanges(item, changes);
+                this.updateStatus("Review the extracted metadata");
+            } catch (e) {
+                if (e.name === "AbortError") {
+                    this.updateStatus("Extraction cancelled");
+                    return;
+                }
+                Zotero.logError(`Paper Chat: Metadata extraction failed: ${e}`);
+                this.appendMessage("assistant", `❌ Error: ${e.message}`, false);
+                this.updateStatus("Error occurred");
+            } finally {
+                if (this.abortController === abortController) {
+                    this.abortController = null;
+                }
+                this.setLoading(false);
             }
         },
+
         /**
-         * Toggle Search UI Visibility
+         * Show extracted metadata next to the item's current values; ticked values are written
+         * on confirmation (empty fields are ticked by default, replacements are opt-in)
          */
-        toggleSearchUI() {
-            const container = this.currentBody?.querySelector("#paper-chat-search-container");
-            if (container) {
-                const isHidden = container.style.display === "none";
-                container.style.display = isHidden ? "block" : "none";
-                if (isHidden) {
-                    const input = container.querySelector("input");
-                    if (input) setTimeout(() => input.focus(), 100);
+        showMetadataChanges(item, changes) {
+            const messageDiv = this.appendMessage("assistant", "", false);
+            if (!messageDiv) return;
+
+            const doc = messageDiv.ownerDocument;
+            const contentDiv = messageDiv.querySelector(".paper-chat-message-content");
+            contentDiv.textContent = changes.length
+                ? "🏷️ Extracted metadata. Tick the values to write to the item:"
+                : "🏷️ The paper doesn't state any of the metadata fields.";
+            if (changes.length === 0) return;
+
+            const table = doc.createElement("table");
+            table.className = "paper-chat-metadata-table";
+            const header = doc.createElement("tr");
+            for (const title of ["", "Field", "Current", "Extracted"]) {
+                const th = doc.createElement("th");
+                th.textContent = title;
+                header.appendChild(th);
+            }
+            table.appendChild(header);
+
+            const choices = [];
+            for (const change of changes) {
+                const tr = doc.createElement("tr");
+
+                const choiceCell = doc.createElement("td");
+                if (change.changed) {
+                    const checkbox = doc.createElement("input");
+                    checkbox.type = "checkbox";
+                    checkbox.checked = !change.current || change.id === "keywords";
+                    choiceCell.appendChild(checkbox);
+                    choices.push({ checkbox, change });
+                } else {
+                    choiceCell.textContent = "✓";
+                    choiceCell.title = "Already matches";
                 }
+
+                const fieldCell = doc.createElement("td");
+                fieldCell.textContent = change.destination === change.label
+                    ? change.label
+                    : `${change.label} → ${change.destination}`;
+
+                const currentCell = doc.createElement("td");
+                currentCell.className = "paper-chat-metadata-current";
+                currentCell.textContent = change.current || "—";
+
+                const proposedCell = doc.createElement("td");
+                proposedCell.className = change.changed ? "paper-chat-metadata-proposed" : "";
+                proposedCell.textContent = change.id === "keywords" && change.changed
+                    ? `+ ${change.proposed}`
+                    : change.proposed;
+
+                tr.append(choiceCell, fieldCell, currentCell, proposedCell);
+                table.appendChild(tr);
             }
+            contentDiv.appendChild(table);
+
+            const actionsDiv = doc.createElement("div");
+            actionsDiv.className = "paper-chat-message-actions";
+
+            const applyBtn = doc.createElement("button");
+            applyBtn.className = "paper-chat-action-btn";
+            applyBtn.textContent = "✅ Apply selected";
+            applyBtn.disabled = choices.length === 0;
+            applyBtn.onclick = async (e) => {
+                e.stopPropagation();
+                const accepted = choices.filter(c => c.checkbox.checked).map(c => c.change);
+                if (accepted.length === 0) return;
+
+                applyBtn.disabled = true;
+                try {
+                    await PaperChat.MetadataExtractor.applyChanges(item, accepted);
+                    actionsDiv.replaceChildren(`✅ Updated ${accepted.length} value(s)`);
+                    choices.forEach(c => { c.checkbox.disabled = true; });
+                    this.updateStatus("Metadata saved");
+                } catch (err) {
+                    Zotero.logError(`Paper Chat: Failed to save metadata: ${err}`);
+                    this.updateStatus(`Could not save metadata: ${err.message}`);
+                    applyBtn.disabled = false;
+                }
+            };
+
+            const cancelBtn = doc.createElement("button");
+            cancelBtn.className = "paper-chat-action-btn";
+            cancelBtn.textContent = "Cancel";
+            cancelBtn.onclick = (e) => {
+                e.stopPropagation();
+                messageDiv.remove();
+            };
+
+            actionsDiv.append(applyBtn, cancelBtn);
+            messageDiv.appendChild(actionsDiv);
         },
 
         /**
-         * Perform search for papers
+         * Toggle the comparison dimension picker
          */
-        async performSearch(query) {
-            if (!query || query.length < 3) return;
+        toggleCompareUI() {
+            const container = this.currentBody?.querySelector("#paper-chat-compare-container");
+            if (!container) return;
+
+            const show = container.style.display === "none";
+            container.style.display = show ? "block" : "none";
+            if (!show) return;
+
+            // Defaults as checkboxes (ticked if used last time); other dimensions in the text field
+            const doc = container.ownerDocument;
+            const chosen = PaperChat.getCompareDimensions();
+            const list = container.querySelector("#paper-chat-compare-dimensions");
+            list.replaceChildren();
+            for (const label of PaperChat.ComparisonTable.DEFAULT_DIMENSIONS) {
+                const option = doc.createElement("label");
+                option.className = "paper-chat-compare-option";
+                const checkbox = doc.createElement("input");
+                checkbox.type = "checkbox";
+                checkbox.value = label;
+                checkbox.checked = chosen.includes(label);
+                option.append(checkbox, doc.createTextNode(` ${label}`));
+                list.appendChild(option);
+            }
+
+            const custom = container.querySelector("#paper-chat-compare-custom");
+            custom.value = chosen.filter(label => !PaperChat.ComparisonTable.DEFAULT_DIMENSIONS.includes(label)).join(", ");
+            custom.onclick = (e) => { e.stopPropagation(); custom.focus(); };
+            custom.onkeydown = (e) => e.stopPropagation();
+
+            container.querySelector("#paper-chat-compare-run").onclick = (e) => {
+                e.stopPropagation();
+                const labels = [
+                    ...[...list.querySelectorAll("input:checked")].map(checkbox => checkbox.value),
+                    ...custom.value.split(",").map(label => label.trim()).filter(Boolean)
+                ];
+                if (labels.length === 0) {
+                    this.updateStatus("Choose at least one dimension");
+                    return;
+                }
+                Zotero.Prefs.set("extensions.zotero.paperchat.compareDimensions", labels.join(", "), true);
+                container.style.display = "none";
+                this.runComparison(labels);
+            };
+        },
+
+        /**
+         * Abort the in-flight request, if any
+         */
+        stopGeneration() {
+            if (this.abortController) {
+                this.abortController.abort();
+                this.updateStatus("Stopping...");
+            }
+        },
+
+        /**
+         * Record a cancelled turn so the history keeps its user/assistant pairs
+         */
+        async handleCancelled(threadID, message, partialText, messageDiv) {
+            const content = partialText || "[Response cancelled]";
+
+            if (messageDiv) {
+                this.updateMessage(messageDiv, content, true, PaperChat.LLMService.extractPageReferences(partialText));
+            } else {
+                messageDiv = this.appendMessage("assistant", content);
+            }
+            if (messageDiv) {
+                this.markCancelled(messageDiv);
+            }
+
+            await PaperChat.ConversationStore?.addMessage(threadID, "user", message);
+            await PaperChat.ConversationStore?.addMessage(threadID, "assistant", content, { cancelled: true });
+
+            // Nothing came back - give the prompt back so it can be edited
+            const input = this.currentBody?.querySelector("#paper-chat-input");
+            if (!partialText && input && !input.value) {
+                input.value = message;
+            }
+
+            this.updateStatus("Cancelled");
+        },
+
+        /**
+         * Add the action row (e.g. Save as note) under an assistant message
+         * @param {HTMLElement} messageDiv - Message element
+         * @param {string} question - The question this message answers
+         * @param {string} answer - The message text
+         */
+        addMessageActions(messageDiv, question, answer) {
+            const doc = messageDiv.ownerDocument;
+            const actionsDiv = doc.createElement("div");
+            actionsDiv.className = "paper-chat-message-actions";
+
+            const noteBtn = doc.createElement("button");
+            noteBtn.className = "paper-chat-action-btn";
+            noteBtn.textContent = "📝 Save as note";
+            noteBtn.title = "Save this answer as a Zotero note";
+            noteBtn.onclick = async (e) => {
+                e.stopPropagation();
+                noteBtn.disabled = true;
+                await this.saveMessageAsNote(question, answer);
+                noteBtn.disabled = false;
+            };
+            actionsDiv.appendChild(noteBtn);
+
+            if (PaperChat.HighlightExporter.findQuotes(answer).length > 0) {
+                const highlightBtn = doc.createElement("button");
+                highlightBtn.className = "paper-chat-action-btn";
+                highlightBtn.textContent = "🖍️ Highlight in PDF";
+                highlightBtn.title = "Create highlight annotations for the passages quoted in this answer";
+                highlightBtn.onclick = async (e) => {
+                    e.stopPropagation();
+                    highlightBtn.disabled = true;
+                    await this.previewHighlights(messageDiv, answer);
+                    highlightBtn.disabled = false;
+                };
+                actionsDiv.appendChild(highlightBtn);
+            }
+
+            messageDiv.appendChild(actionsDiv);
+        },
+
+        /**
+         * Show an answer's token counts (and cost, if the model has a price) on hover
+         * @param {HTMLElement} messageDiv - Assistant message
+         * @param {Object} usage - { inputTokens, outputTokens, cachedTokens, estimated, model }
+         */
+        setMessageUsage(messageDiv, usage) {
+            if (!usage?.model) return;
+
+            const tracker = PaperChat.UsageTracker;
+            const approx = usage.estimated ? "~" : "";
+            const cached = usage.cachedTokens ? ` (${usage.cachedTokens.toLocaleString()} cached)` : "";
+            const cost = tracker.formatCost(tracker.getCost(usage.model, usage));
+            messageDiv.title = `${usage.model}: ${approx}${usage.inputTokens.toLocaleString()} input tokens${cached}, `
+                + `${approx}${usage.outputTokens.toLocaleString()} output tokens${cost ? ` · ${cost}` : ""}`;
+        },
+
+        /**
+         * Show the running token total (and cost) of a thread in the thread bar
+         * @param {number} threadID - Thread ID (null for none)
+         */
+        async renderThreadUsage(threadID) {
+            const label = this.currentBody?.querySelector("#paper-chat-thread-usage");
+            if (!label) return;
+
+            const history = threadID ? await PaperChat.ConversationStore.getHistory(threadID) : [];
+            const tracker = PaperChat.UsageTracker;
+            let input = 0;
+            let output = 0;
+            let cost = 0;
+            for (const msg of history) {
+                if (!msg.usage?.model) continue;
+                input += msg.usage.inputTokens;
+                output += msg.usage.outputTokens;
+                cost = tracker.addCost(cost, tracker.getCost(msg.usage.model, msg.usage));
+            }
+
+            label.style.display = input + output > 0 ? "" : "none";
+            const costText = tracker.formatCost(cost);
+            label.textContent = `${tracker.formatTokens(input + output)} tokens${costText ? ` · ${costText}` : ""}`;
+            label.title = `This conversation: ${input.toLocaleString()} input and ${output.toLocaleString()} output tokens`;
+        },
+
+        /**
+         * Daily token budget check for one action, awaited with an estimate before each of its
+         * requests (OCR, summaries, embeddings, the question itself): over budget, it throws a
+         * BudgetError, or asks the user (depending on the preference), once per action
+         * @returns {Function} - async (estimate) => void
+         */
+        createBudgetCheck() {
+            let confirmed = false;
+            return async (estimate) => {
+                const tracker = PaperChat.UsageTracker;
+                const check = await tracker.checkBudget(estimate);
+                if (!check || (confirmed && !check.block)) return;
+
+                const warning = tracker.formatBudgetWarning(check);
+                let error = null;
+                if (check.block) {
+                    error = new Error(`${warning} Raise the budget in preferences to continue.`);
+                } else {
+                    const win = this.currentBody?.ownerDocument?.defaultView || Zotero.getMainWindow();
+                    confirmed = Services.prompt.confirm(win, "Paper Chat", `${warning}\n\nSend it anyway?`);
+                    if (!confirmed) error = new Error("Not sent: over today's token budget.");
+                }
+                if (error) {
+                    error.name = "BudgetError";
+                    throw error;
+                }
+            };
+        },
+
+        /**
+         * Show the highlights an answer would create, to be confirmed before they are saved
+         */
+        async previewHighlights(messageDiv, answer) {
+            messageDiv.querySelector(".paper-chat-highlight-preview")?.remove();
+
+            let results;
+            try {
+                this.updateStatus("Finding quotes in the PDF...");
+                const attachments = this.currentItems.map(x => x.attachment).filter(Boolean);
+                results = await PaperChat.HighlightExporter.locateQuotes(
+                    PaperChat.HighlightExporter.findQuotes(answer),
+                    attachments
+                );
+            } catch (e) {
+                Zotero.logError(`Paper Chat: Failed to locate quotes: ${e}`);
+                this.updateStatus(`Could not read the PDF: ${e.message}`);
+                return;
+            }
+
+            const doc = messageDiv.ownerDocument;
+            const preview = doc.createElement("div");
+            preview.className = "paper-chat-highlight-preview";
+
+            const heading = doc.createElement("div");
+            heading.className = "paper-chat-highlight-heading";
+            heading.textContent = "Create these highlights?";
+            preview.appendChild(heading);
+
+            const choices = [];
+            for (const result of results) {
+                const row = doc.createElement("label");
+                row.className = "paper-chat-highlight-row";
+
+                if (result.error) {
+                    row.classList.add("paper-chat-highlight-missing");
+                    row.textContent = `⚠ “${result.quote}” (p. ${result.pageLabel}) · ${result.error}`;
+                } else {
+                    const checkbox = doc.createElement("input");
+                    checkbox.type = "checkbox";
+                    checkbox.checked = !result.duplicate;
+                    choices.push({ checkbox, result });
+
+                    const text = doc.createElement("span");
+                    text.textContent = `“${result.text}” (p. ${result.pageLabel})` +
+                        (result.duplicate ? " · already highlighted" : "");
+                    row.append(checkbox, text);
+
+                    if (result.comment) {
+                        const comment = doc.createElement("div");
+                        comment.className = "paper-chat-highlight-comment";
+                        comment.textContent = result.comment;
+                        row.appendChild(comment);
+                    }
+                }
+                preview.appendChild(row);
+            }
+
+            const buttons = doc.createElement("div");
+            buttons.className = "paper-chat-message-actions";
+
+            const confirmBtn = doc.createElement("button");
+            confirmBtn.className = "paper-chat-action-btn";
+            confirmBtn.textContent = "🖍️ Create highlights";
+            confirmBtn.disabled = choices.length === 0;
+            confirmBtn.onclick = async (e) => {
+                e.stopPropagation();
+                const selected = choices.filter(c => c.checkbox.checked).map(c => c.result);
+                if (selected.length === 0) return;
+
+                confirmBtn.disabled = true;
+                try {
+                    await PaperChat.HighlightExporter.createHighlights(selected, PaperChat.getHighlightColor());
+                    preview.replaceChildren(`🖍️ Created ${selected.length} highlight(s)`);
+                    this.updateStatus(`Created ${selected.length} highlight(s)`);
+                } catch (err) {
+                    Zotero.logError(`Paper Chat: Failed to create highlights: ${err}`);
+                    this.updateStatus(`Could not create highlights: ${err.message}`);
+                    confirmBtn.disabled = false;
+                }
+            };
+
+            const cancelBtn = doc.createElement("button");
+            cancelBtn.className = "paper-chat-action-btn";
+            cancelBtn.textContent = "Cancel";
+            cancelBtn.onclick = (e) => {
+                e.stopPropagation();
+                preview.remove();
+            };
+
+            buttons.append(confirmBtn, cancelBtn);
+            preview.appendChild(buttons);
+            messageDiv.appendChild(preview);
+
+            this.updateStatus(`Found ${choices.length} of ${results.length} quote(s) in the PDF`);
+        },
+
+        /**
+         * Save one answer as a note
+         */
+        async saveMessageAsNote(question, answer) {
+            try {
+                await PaperChat.NoteExporter.saveMessageAsNote(question, answer, this.currentItems);
+                this.updateStatus("Saved answer as note");
+            } catch (e) {
+                Zotero.logError(`Paper Chat: Failed to save note: ${e}`);
+                this.updateStatus(`Could not save note: ${e.message}`);
+            }
+        },
+
+        /**
+         * Save the current thread as a note
+         */
+        async saveConversationAsNote() {
+            if (!this.currentThreadID) {
+                this.updateStatus("Nothing to save yet");
+                return;
+            }
+            try {
+                await PaperChat.NoteExporter.saveConversationAsNote(this.currentThreadID, this.currentItems);
+                this.updateStatus("Saved conversation as note");
+            } catch (e) {
+                Zotero.logError(`Paper Chat: Failed to save note: ${e}`);
+                this.updateStatus(`Could not save note: ${e.message}`);
+            }
+        },
+
+        /**
+         * Mark a message element as cancelled
+         */
+        markCancelled(messageDiv) {
+            messageDiv.classList.add("paper-chat-message-cancelled");
+
+            const note = messageDiv.ownerDocument.createElement("div");
+            note.className = "paper-chat-cancelled-note";
+            note.textContent = "⏹ Stopped by user";
+            messageDiv.appendChild(note);
+        },
+
+        /**
+         * Append a message to the chat
+         * @returns {HTMLElement} - The message element, for later updates
+         */
+        appendMessage(role, content, parseReferences = false, references = []) {
+            const messagesContainer = this.currentBody?.querySelector("#paper-chat-messages");
+            if (!messagesContainer) return null;
+
+            const doc = messagesContainer.ownerDocument;
+            const messageDiv = doc.createElement("div");
+            messageDiv.className = `paper-chat-message paper-chat-message-${role}`;
+
+            messagesContainer.appendChild(messageDiv);
+            this.updateMessage(messageDiv, content, parseReferences, references);
+
+            // Scroll to bottom
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+            return messageDiv;
+        },
+
+        /**
+         * Replace the content of an existing message (used while streaming)
+         */
+        updateMessage(messageDiv, content, parseReferences = false, references = []) {
+            const messagesContainer = messageDiv.parentNode;
+            const doc = messageDiv.ownerDocument;
+
+            // Check whether the user is following along at the bottom before re-rendering
+            const atBottom = !messagesContainer ||
+                messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 40;
+
+            messageDiv.replaceChildren();
+
+            const contentDiv = doc.createElement("div");
+            contentDiv.className = "paper-chat-message-content";
+
+            const linkPages = parseReferences && this.currentAttachment && PaperChat.PDFNavigator;
+
+            if (!messageDiv.classList.contains("paper-chat-message-user") && PaperChat.MarkdownRenderer) {
+                // Render Markdown; page references are linked once the final text arrives
+                contentDiv.classList.add("paper-chat-markdown");
+                contentDiv.appendChild(PaperChat.MarkdownRenderer.render(content, doc, {
+                    attachmentID: linkPages ? this.currentAttachment.id : null,
+                    math: PaperChat.isMathRenderingEnabled(),
+                    renderCitation: linkPages && this.papers
+                        ? (pageLabel, quote, d) => this.renderQuoteCitation(pageLabel, quote, d)
+                        : null
+                }));
+            } else if (linkPages) {
+                // Parse and link page references
+                const fragment = PaperChat.PDFNavigator.parseAndLinkReferences(
+                    content,
+                    this.currentAttachment.id,
+                    doc
+                );
+                contentDiv.appendChild(fragment);
+            } else {
+                contentDiv.textContent = content;
+            }
+
+            messageDiv.appendChild(contentDiv);
+
+            // Add page reference buttons if available
+            if (references && references.length > 0 && this.currentAttachment && PaperChat.PDFNavigator) {
+                const refsDiv = doc.createElement("div");
+                refsDiv.className = "paper-chat-references";
+                refsDiv.appendChild(doc.createTextNode("📄 Go to: "));
+
+                for (const pageNum of references.slice(0, 5)) {
+                    const refBtn = doc.createElement("button");
+                    refBtn.className = "paper-chat-ref-btn";
+                    refBtn.textContent = `p.${pageNum}`;
+                    refBtn.onclick = () => {
+                        PaperChat.PDFNavigator.navigateToPage(this.currentAttachment.id, pageNum);
+                    };
+                    refsDiv.appendChild(refBtn);
+                }
+
+                messageDiv.appendChild(refsDiv);
+            }
+
+            // Keep following the stream unless the user scrolled up
+            if (messagesContainer && atBottom) {
+                messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            }
+        },
+
+        /**
+         * Render a quote citation: the quote plus a chip that opens the PDF and
+         * highlights the passage, or a warning if the quote isn't in the paper
+         */
+        renderQuoteCitation(pageLabel, quote, doc) {
+            const match = this.verifyQuote(pageLabel, quote);
+
+            const wrapper = doc.createElement("span");
+            wrapper.className = "paper-chat-quote";
+
+            const quoteEl = doc.createElement("q");
+            quoteEl.className = "paper-chat-quote-text";
+            quoteEl.textContent = quote;
+            wrapper.appendChild(quoteEl);
+
+            const chip = doc.createElement("span");
+            chip.className = "paper-chat-quote-chip";
+
+            if (match) {
+                chip.textContent = `❝ p. ${match.pageLabel}`;
+                chip.title = "Show this passage in the PDF";
+                chip.addEventListener("click", (e) => {
+                    e.preventDefault();
+                    PaperChat.PDFNavigator.highlightTextOnPage(match.attachmentID, match.pageIndex, quote);
+                });
+            } else {
+                chip.classList.add("paper-chat-quote-unverified");
+                chip.textContent = `⚠ p. ${pageLabel} · unverified`;
+                chip.title = "This quote could not be found in the paper text. Check it before relying on it.";
+                chip.addEventListener("click", (e) => {
+                    e.preventDefault();
+                    PaperChat.PDFNavigator.navigateToPage(this.currentAttachment.id, pageLabel);
+                });
+            }
+
+            wrapper.appendChild(chip);
+            return wrapper;
+        },
+
+        /**
+         * Check a quote against the extracted text of the papers in the chat
+         * @returns {Object|null} - { attachmentID, pageIndex, pageLabel } where it was found
+         */
+        verifyQuote(pageLabel, quote) {
+            for (const paper of this.papers || []) {
+                if (paper.error) continue;
+
+                const pages = paper.pages?.length
+                    ? paper.pages
+                    : [{ pageNumber: null, pageLabel: null, text: paper.text || "" }];
+                const page = PaperChat.PDFExtractor.findQuote(pages, quote, pageLabel);
+                if (!page) continue;
+
+                // Without page boundaries, trust the cited page
+                const pageIndex = page.pageNumber
+                    ? page.pageNumber - 1
+                    : PaperChat.PDFNavigator.getCachedPageIndex(paper.attachmentID, pageLabel);
+                return {
+                    attachmentID: paper.attachmentID,
+                    pageIndex: pageIndex ?? 0,
+                    pageLabel: page.pageLabel || pageLabel
+                };
+            }
+            return null;
+        },
+
+        /**
+         * Set loading state
+         */
+        setLoading(loading) {
+            this.isLoading = loading;
+
+            const sendBtn = this.currentBody?.querySelector("#paper-chat-send");
+            const stopBtn = this.currentBody?.querySelector("#paper-chat-stop");
+            const input = this.currentBody?.querySelector("#paper-chat-input");
+
+            if (sendBtn) {
+                sendBtn.disabled = loading;
+                sendBtn.textContent = loading ? "..." : "Send";
+                sendBtn.style.display = loading ? "none" : "";
+            }
+            if (stopBtn) {
+                stopBtn.style.display = loading ? "" : "none";
+            }
+            if (input) {
+                input.disabled = loading;
+            }
+        },
+
+        /**
+         * Update status display
+         */
+        updateStatus(text) {
+            const statusDiv = this.currentBody?.querySelector("#paper-chat-status");
+            if (statusDiv) {
+                statusDiv.textContent = text;
+            }
+        },
+
+        /**
+         * Chat about text selected (or annotated) in the reader
+         * @param {Zotero.Item} attachment - PDF the selection is from
+         * @param {string} action - "explain", "translate", or "ask" to let the user type the question
+         * @param {Object} selection - { text, pageLabel, surrounding }
+         */
+        async askAboutSelection(attachment, action, selection) {
+            await this.showAttachment(attachment);
+            this.setSelectionContext(selection);
+
+            const input = this.currentBody?.querySelector("#paper-chat-input");
+            if (!input) {
+                Zotero.debug("Paper Chat: Chat panel is not open");
+                return;
+            }
+
+            if (action === "ask") {
+                input.focus();
+                return;
+            }
+
+            input.value = action === "translate"
+                ? `Translate the selected text into ${PaperChat.getTranslationLanguage()}.`
+                : "Explain the selected text in plain language, in the context of the paper.";
+            await this.sendMessage();
+        },
+
+        /**
+         * Show the panel, switching the chat to an attachment if it's about something else
+         * @param {Zotero.Item} attachment - PDF attachment
+         */
+        async showAttachment(attachment) {
+            if (!this.currentItems.some(x => x.attachment?.id === attachment.id)) {
+                await this.updateForItems([{ item: attachment.parentItem || attachment, attachment }]);
+            }
+            this.show();
+        },
+
+        /**
+         * Attach (or with null, remove) the reader selection for the next question
+         */
+        setSelectionContext(selection) {
+            this.selectionContext = selection;
+
+            const container = this.currentBody?.querySelector("#paper-chat-selection");
+            if (!container) return;
+
+            if (selection) {
+                const preview = selection.text.length > 80 ? `${selection.text.substring(0, 80)}…` : selection.text;
+                container.querySelector("#paper-chat-selection-text").textContent =
+                    `❝ "${preview}"${selection.pageLabel ? ` (p. ${selection.pageLabel})` : ""}`;
+                container.style.display = "";
+            } else {
+                container.style.display = "none";
+            }
+        },
+
+        /**
+         * Add the selection and its surrounding text to a question
+         */
+        buildSelectionPrompt(question, selection) {
+            const page = selection.pageLabel ? ` (page ${selection.pageLabel})` : "";
+            let prompt = `${question}\n\nSelected text${page}:\n"${selection.text}"`;
+            if (selection.surrounding && selection.surrounding !== selection.text) {
+                prompt += `\n\nSurrounding text on that page:\n"${selection.surrounding}"`;
+            }
+            return prompt;
+        },
+
+        /**
+         * Attach an image of the page currently shown in the reader
+         * @returns {Promise<boolean>} - Whether a page was attached
+         */
+        async attachCurrentPage() {
+            const open = this.currentItems
+                .filter(x => x.attachment)
+                .map(x => ({ attachment: x.attachment, page: PaperChat.PDFNavigator.getCurrentPage(x.attachment.id) }))
+                .find(x => x.page);
+
+            if (!open) {
+                this.updateStatus("Open the PDF in the reader to attach a page");
+                return false;
+            }
+            return this.attachImage(open.attachment, open.page - 1);
+        },
+
+        /**
+         * Render a page (or a region of it) and attach it to the next question
+         * @param {Zotero.Item} attachment - PDF attachment
+         * @param {number} pageIndex - 0-based page index
+         * @param {Array<number>} rect - Optional region in PDF points
+         * @returns {Promise<boolean>} - Whether the image was attached
+         */
+        async attachImage(attachment, pageIndex, rect = null) {
+            try {
+                this.updateStatus("Capturing page...");
+                const image = await PaperChat.PDFExtractor.renderPageImage(attachment.id, pageIndex, rect);
+                const label = rect ? `region of p. ${image.pageLabel}` : `p. ${image.pageLabel}`;
+
+                this.images.push({ ...image, label });
+                this.renderImageList();
+                this.updateStatus(`Attached ${label}`);
+                return true;
+            } catch (e) {
+                Zotero.logError(`Paper Chat: Page capture failed: ${e}`);
+                this.updateStatus("Could not capture the page");
+                return false;
+            }
+        },
+
+        /**
+         * Remove all attached images
+         */
+        clearImages() {
+            this.images = [];
+            this.renderImageList();
+        },
+
+        /**
+         * Show the attached images above the input
+         */
+        renderImageList() {
+            const container = this.currentBody?.querySelector("#paper-chat-images");
+            if (!container) return;
+
+            const doc = container.ownerDocument;
+            container.replaceChildren();
+            container.style.display = this.images.length ? "" : "none";
+
+            this.images.forEach((image, index) => {
+                const chip = doc.createElement("div");
+                chip.className = "paper-chat-image-chip";
+                chip.title = `${image.width} × ${image.height} px`;
+
+                const thumbnail = doc.createElement("img");
+                thumbnail.src = `data:${image.mimeType};base64,${image.data}`;
+
+                const label = doc.createElement("span");
+                label.textContent = image.label;
+
+                const remove = doc.createElement("button");
+                remove.textContent = "✕";
+                remove.title = "Remove image";
+                remove.onclick = (e) => {
+                    e.stopPropagation();
+                    this.images.splice(index, 1);
+                    this.renderImageList();
+                };
+
+                chip.append(thumbnail, label, remove);
+                container.appendChild(chip);
+            });
+        },
+
+        /**
+         * Chat with the collection or saved search selected in the library
+         */
+        async chatWithSelectedCollection() {
+            const pane = Zotero.getActiveZoteroPane();
+            const source = pane?.getSelectedCollection() || pane?.getSelectedSavedSearch();
+            if (!source) {
+                this.updateStatus("Select a collection or saved search first");
+                return;
+            }
+            await this.chatWithCollection(source);
+        },
+
+        /**
+         * Chat with every paper in a collection (including subcollections) or saved search
+         * @param {Zotero.Collection|Zotero.Search} source - Collection or saved search
+         */
+        async chatWithCollection(source) {
+            try {
+                const isSearch = source instanceof Zotero.Search;
+                this.updateStatus(`Gathering papers in "${source.name}"...`);
+
+                const items = isSearch
+                    ? await PaperChat.PDFExtractor.getSavedSearchPDFItems(source)
+                    : await PaperChat.PDFExtractor.getCollectionPDFItems(source);
+                if (items.length === 0) {
+                    this.updateStatus(`No PDFs in "${source.name}"`);
+                    return;
+                }
+
+                await this.updateForItems(items, {
+                    id: `${isSearch ? "search" : "collection"}:${source.libraryID}:${source.key}`,
+                    name: source.name,
+                    itemIDs: new Set(items.map(x => x.item.id))
+                });
+
+                // The panel is only shown for a selected item
+                const pane = Zotero.getActiveZoteroPane();
+                if (pane && pane.getSelectedItems().length === 0) {
+                    await pane.selectItem(items[0].item.id);
+                }
+                this.show();
+            } catch (e) {
+                Zotero.logError(`Paper Chat: Could not open collection chat: ${e}`);
+                this.updateStatus(`Could not read "${source.name}"`);
+            }
+        },
+
+        /**
+         * Go back from a collection chat to the papers selected in the library
+         */
+        async leaveCollection() {
+            this.collectionContext = null;
+            this.renderCollectionBar();
+
+            const selected = Zotero.getActiveZoteroPane()?.getSelectedItems() || [];
+            const items = await PaperChat.PDFExtractor.getPDFItems(selected);
+            if (items.length > 0) {
+                await this.updateForItems(items);
+            } else {
+                this.updateStatus("Select a paper to chat about");
+            }
+        },
+
+        /**
+         * Show which collection the chat is about, if any
+         */
+        renderCollectionBar() {
+            const bar = this.currentBody?.querySelector("#paper-chat-collection-bar");
+            if (!bar) return;
+
+            if (this.collectionContext) {
+                const { name, itemIDs } = this.collectionContext;
+                bar.querySelector("#paper-chat-collection-name").textContent = `📚 ${name} · ${itemIDs.size} paper(s)`;
+                bar.style.display = "";
+            } else {
+                bar.style.display = "none";
+            }
+        },
+
+        /**
+         * Ask what to run over the selected items and add them to the batch queue
+         */
+        async queueBatch() {
+            if (!PaperChat.BatchQueue) return;
+
+            const selected = Zotero.getActiveZoteroPane()?.getSelectedItems() || [];
+            const items = selected.filter(item => item.isRegularItem() || item.isPDFAttachment());
+            if (items.length === 0) {
+                this.updateStatus("Select the items to process first");
+                return;
+            }
+
+            const win = this.currentBody?.ownerDocument?.defaultView || Zotero.getMainWindow();
+            // Library templates that don't need the reader, then metadata and a one-off prompt
+            const actions = [
+                ...PaperChat.PromptLibrary.getTemplates()
+                    .filter(t => !t.attachPage)
+                    .map(t => ({ action: t.id, label: t.name, prompt: t.template, model: t.model })),
+                { action: "metadata", label: "Metadata" },
+                { action: "custom", label: "Custom prompt…" }
+            ];
+            const choice = { value: 0 };
+            if (!Services.prompt.select(win, "Paper Chat", `Process ${items.length} item(s) with:`,
+                actions.map(a => a.label), choice)) return;
+            const task = { ...actions[choice.value] };
+
+            if (task.action === "metadata") {
+                // Fills empty fields and adds keywords; nothing is overwritten without review
+                task.prompt = "";
+                task.output = "fields";
+            } else {
+                if (task.action === "custom") {
+                    task.prompt = this.promptForText("Prompt to run on each item:");
+                    if (!task.prompt) return;
+                    task.label = this.promptForText("Name for the results (note heading or Extra key):", "Notes");
+                    if (!task.label) return;
+                }
+
+                const outputs = ["Child note", "Line in the Extra field"];
+                const output = { value: 0 };
+                if (!Services.prompt.select(win, "Paper Chat", "Save each result as:", outputs, output)) return;
+                task.output = output.value === 1 ? "extra" : "note";
+            }
+
+            const count = await PaperChat.BatchQueue.enqueue(items, task);
+            this.updateStatus(`Queued ${count} item(s) for ${task.label}`);
+        },
+
+        /**
+         * Show the batch queue's progress while it has tasks
+         */
+        async renderBatchBar() {
+            const bar = this.currentBody?.querySelector("#paper-chat-batch-bar");
+            if (!bar || !PaperChat.BatchQueue) return;
+
+            let counts;
+            try {
+                counts = await PaperChat.BatchQueue.getCounts();
+            } catch (e) {
+                bar.style.display = "none";
+                return;
+            }
+            if (counts.total === 0) {
+                bar.style.display = "none";
+                return;
+            }
+
+            const paused = PaperChat.BatchQueue.isPaused();
+            const finished = counts.done + counts.failed;
+            let text = `🗂️ Batch: ${finished}/${counts.total} done`;
+            if (counts.failed > 0) text += ` · ${counts.failed} failed`;
+            if (paused && counts.queued + counts.running > 0) text += " · paused";
+            bar.querySelector("#paper-chat-batch-status").textContent = text;
+
+            const toggle = bar.querySelector("#paper-chat-batch-toggle");
+            toggle.textContent = paused ? "▶ Resume" : "⏸ Pause";
+            toggle.style.display = counts.queued + counts.running > 0 ? "" : "none";
+            bar.querySelector("#paper-chat-batch-retry").style.display = counts.failed > 0 ? "" : "none";
+
+            // Say why the last tasks failed
+            if (counts.failed > 0) {
+                const failed = await PaperChat.BatchQueue.getFailedTasks();
+                bar.title = failed.slice(-5)
+                    .map(t => `${Zotero.Items.get(t.itemID)?.getDisplayTitle() || `Item ${t.itemID}`}: ${t.error}`)
+                    .join("\n");
+            } else {
+                bar.title = "";
+            }
+            bar.style.display = "";
+        },
+
+        /**
+         * Clear finished batch tasks; while paused, offer to cancel the queued ones too
+         */
+        async clearBatch() {
+            const queue = PaperChat.BatchQueue;
+            const counts = await queue.getCounts();
+            let all = false;
+            if (queue.isPaused() && counts.queued > 0) {
+                const win = this.currentBody?.ownerDocument?.defaultView;
+                all = Services.prompt.confirm(win, "Paper Chat", `Also cancel the ${counts.queued} queued item(s)?`);
+            }
+            await queue.clear(all);
+        },
+
+        /**
+         * Show the chat panel
+         */
+        show() {
+            Zotero.debug("Paper Chat: Show chat panel");
+
+            // In reader tabs the chat lives in the (possibly collapsed) context pane
+            const win = Zotero.getMainWindow();
+            if (win?.ZoteroContextPane?.collapsed) {
+                win.ZoteroContextPane.togglePane();
+            }
+            this.currentBody?.scrollIntoView?.({ block: "start" });
+        },
+
+        /**
+         * Clear the messages of the current thread (the thread itself is kept)
+         */
+        async clearConversation() {
+            if (this.currentThreadID) {
+                await PaperChat.ConversationStore?.clearHistory(this.currentThreadID);
+            }
+            this.papers = null;
+            this.loadExistingConversation();
+        },
+
+        /**
+         * Return the active thread, creating one titled after the first question if needed
+         * @returns {Promise<number|null>} - Thread ID
+         */
+        async ensureThread(firstMessage) {
+            if (this.currentThreadID || !this.currentID || !PaperChat.ConversationStore) {
+                return this.currentThreadID;
+            }
+
+            const title = firstMessage.length > 40 ? firstMessage.substring(0, 40).trim() + "…" : firstMessage;
+            this.currentThreadID = await PaperChat.ConversationStore.createThread(this.currentID, title, this.getContextItemIDs());
+            this.activeThreads.set(this.currentID, this.currentThreadID);
+            await this.refreshThreadBar();
+            return this.currentThreadID;
+        },
+
+        /**
+         * Item IDs of the papers in the chat context (collection keys don't contain them)
+         */
+        getContextItemIDs() {
+            return [...new Set(this.currentItems.map(x => x.item.id))];
+        },
+
+        /**
+         * Switch to another thread of the current context
+         */
+        switchThread(threadID) {
+            if (this.isLoading) {
+                this.updateStatus("Wait for the current response before switching threads");
+                this.refreshThreadBar();
+                return;
+            }
+            this.activeThreads.set(this.currentID, threadID);
+            this.loadExistingConversation();
+        },
+
+        /**
+         * Handle thread bar buttons: new, rename, delete
+         */
+        async handleThreadAction(action) {
+            const store = PaperChat.ConversationStore;
+            if (!store || !this.currentID) return;
+
+            if (this.isLoading) {
+                this.updateStatus("Wait for the current response to finish");
+                return;
+            }
+
+            if (action === "new") {
+                const title = this.promptForText("Name for the new thread:", "New chat");
+                if (title === null) return;
+                const threadID = await store.createThread(this.currentID, title || "New chat", this.getContextItemIDs());
+                this.activeThreads.set(this.currentID, threadID);
+                await this.loadExistingConversation();
+                this.updateStatus(`Started thread "${title || "New chat"}"`);
+                return;
+            }
+
+            if (!this.currentThreadID) return;
+            const thread = await store.getThread(this.currentThreadID);
+            if (!thread) return;
+
+            if (action === "rename") {
+                const title = this.promptForText("Rename thread:", thread.title);
+                if (!title) return;
+                await store.renameThread(thread.threadID, title);
+                await this.refreshThreadBar();
+                this.updateStatus(`Renamed thread to "${title}"`);
+            } else if (action === "delete") {
+                const win = this.currentBody?.ownerDocument?.defaultView;
+                const confirmed = Services.prompt.confirm(
+                    win,
+                    "Paper Chat",
+                    `Delete the thread "${thread.title}" and its ${thread.messageCount} message(s)?`
+                );
+                if (!confirmed) return;
+                await store.deleteThread(thread.threadID);
+                this.activeThreads.delete(this.currentID);
+                await this.loadExistingConversation();
+                this.updateStatus(`Deleted thread "${thread.title}"`);
+            }
+        },
+
+        /**
+         * Ask the user for a line of text
+         * @returns {string|null} - Trimmed text, or null if cancelled
+         */
+        promptForText(text, defaultValue = "") {
+            const win = this.currentBody?.ownerDocument?.defaultView;
+            const input = { value: defaultValue };
+            const ok = Services.prompt.prompt(win, "Paper Chat", text, input, null, {});
+            return ok ? input.value.trim() : null;
+        },
+
+        /**
+         * Reload the thread list of the current context into the thread bar
+         */
+        async refreshThreadBar() {
+            const contextID = this.currentID;
+            const threads = contextID && PaperChat.ConversationStore
+                ? await PaperChat.ConversationStore.listThreads(contextID)
+                : [];
+            if (contextID !== this.currentID) return;
+            this.renderThreadBar(threads);
+        },
+
+        /**
+         * Render the thread selector
+         * @param {Array} threads - Threads from ConversationStore.listThreads
+         */
+        renderThreadBar(threads) {
+            const select = this.currentBody?.querySelector("#paper-chat-thread-select");
+            if (!select) return;
+
+            const doc = select.ownerDocument;
+            select.replaceChildren();
+
+            // Placeholder until the first message creates a thread
+            if (!this.currentThreadID) {
+                const option = doc.createElement("option");
+                option.value = "";
+                option.textContent = "New chat";
+                select.appendChild(option);
+            }
+
+            for (const thread of threads) {
+                const option = doc.createElement("option");
+                option.value = thread.threadID;
+                option.textContent = `${thread.title} (${thread.messageCount})`;
+                option.title = `Created ${new Date(thread.createdAt).toLocaleString()}, updated ${new Date(thread.updatedAt).toLocaleString()}`;
+                select.appendChild(option);
+            }
+
+            select.value = this.currentThreadID || "";
+
+            this.currentBody.querySelectorAll("#paper-chat-thread-bar button[data-thread-action='rename'], #paper-chat-thread-bar button[data-thread-action='delete']")
+                .forEach(btn => { btn.disabled = !this.currentThreadID; });
+        },
+        /**
+         * Toggle Search UI Visibility
+         */
+        toggleSearchUI() {
+            const container = this.currentBody?.querySelector("#paper-chat-search-container");
+            if (container) {
+                const isHidden = container.style.display === "none";
+                container.style.display = isHidden ? "block" : "none";
+                if (isHidden) {
+                    const input = container.querySelector("input");
+                    if (input) setTimeout(() => input.focus(), 100);
+                }
+            }
+        },
+
+        /**
+         * Perform search for papers
+         */
+        async performSearch(query) {
+            if (!query || query.length < 3) return;
 
             const container = this.currentBody?.querySelector("#paper-chat-search-results");
             if (container) container.innerHTML = "Searching...";
@@ -567,14 +2173,23 @@
 
             this.currentItems.push(newItemObj);
 
+            // An extra paper makes a collection chat an ordinary multi-paper chat
+            this.collectionContext = null;
+            this.renderCollectionBar();
+
             // Re-run update logic manually to refresh ID and Status
             // We duplicate updateForItems logic partly to avoid full reset
             this.currentID = this.currentItems.map(x => x.item.id).sort().join('_');
             const pdfCount = this.currentItems.filter(x => x.attachment).length;
             this.updateStatus(`Added paper. Now chatting with ${pdfCount} papers.`);
 
+            // The new paper set is a different context; the next message starts a new thread
+            this.currentThreadID = null;
+            this.refreshThreadBar();
+
             // Clear content cache to force re-read
-            this.pdfContent = null;
+            this.papers = null;
+            this.releaseContextCache();
 
             this.appendMessage("assistant", `✅ Added "${newItemObj.item.getField("title")}" to conversation.`, false);
         },
@@ -604,12 +2219,8 @@
 
             container.innerHTML = "";
 
-            const currentModel = Zotero.Prefs.get("extensions.zotero.paperchat.model", true) || "gemini-3-flash-preview";
-            const models = [
-                { id: "gemini-3-flash-preview", name: "gemini-3-flash-preview" },
-                { id: "gemini-2.5-flash", name: "gemini-2.5-flash" },
-                { id: "gemini-2.5-flash-lite", name: "gemini-2.5-flash-lite" }
-            ];
+            const currentModel = PaperChat.getModel();
+            const models = PaperChat.getModels().map(id => ({ id, name: id }));
 
             const doc = container.ownerDocument;
 
@@ -655,7 +2266,7 @@
          * Set the AI Model
          */
         setModel(modelID, modelName) {
-            Zotero.Prefs.set("extensions.zotero.paperchat.model", modelID, true);
+            PaperChat.setModel(modelID);
             this.updateStatus(`Model switched to ${modelName}`);
             this.appendMessage("system", `⚙️ Active model changed to **${modelName}**.`, false);
             this.toggleModelUI();
@@ -0,0 +1,250 @@
+/* global Zotero, PaperChat */
+/* Comparison Table - Structured multi-paper comparisons */
+
+(function () {
+    const DEFAULT_DIMENSIONS = ["Dataset", "Method", "Metrics", "Sample size", "Main result", "Limitations"];
+
+    /**
+     * Comparison Table - asks for one structured row per paper and renders,
+     * sorts and exports the result
+     *
+     * A table is { dimensions: Array of { id, label }, rows: Array of
+     * { title, attachmentID, cells: { [dimension id]: { value, pages } } } }
+     */
+    PaperChat.ComparisonTable = {
+        DEFAULT_DIMENSIONS,
+
+        /**
+         * Turn dimension labels into { id, label } with ids usable as JSON property names
+         * @param {Array<string>} labels - e.g. ["Dataset", "Sample size"]
+         * @returns {Array<Object>} - Array of { id, label }
+         */
+        createDimensions(labels) {
+            const dimensions = [];
+            for (const label of labels) {
+                const base = label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "dimension";
+                let id = base;
+                for (let n = 2; dimensions.some(d => d.id === id) || id === "paper"; n++) {
+                    id = `${base}_${n}`;
+                }
+                dimensions.push({ id, label });
+            }
+            return dimensions;
+        },
+
+        /**
+         * JSON Schema for the answer: one row per paper, each cell a value with its pages
+         */
+        buildSchema(dimensions) {
+            const row = {
+                type: "object",
+                properties: {
+                    paper: { type: "integer", description: "Number of the paper in the list, starting at 1" }
+                },
+                required: ["paper"],
+                additionalProperties: false
+            };
+
+            for (const { id, label } of dimensions) {
+                row.properties[id] = {
+                    type: "object",
+                    description: label,
+                    properties: {
+                        value: { type: "string", description: "Short answer (a phrase or number), or \"Not reported\"" },
+                        pages: { type: "array", items: { type: "string" }, description: "Pages the value comes from" }
+                    },
+                    required: ["value", "pages"],
+                    additionalProperties: false
+                };
+                row.required.push(id);
+            }
+
+            return {
+                type: "object",
+                properties: { papers: { type: "array", items: row } },
+                required: ["papers"],
+                additionalProperties: false
+            };
+        },
+
+        /**
+         * Instructions for the comparison, listing the papers by number
+         * @param {Array<Object>} dimensions - From createDimensions
+         * @param {Array<Object>} papers - Extracted papers ({ title })
+         */
+        buildPrompt(dimensions, papers) {
+            const list = papers.map((paper, i) => `${i + 1}. ${paper.title}`).join("\n");
+            return `Compare the papers below on these dimensions: ${dimensions.map(d => d.label).join(", ")}.\n` +
+                "Return one entry per paper. For each dimension give a short value (a phrase or number, not a paragraph) " +
+                "and the pages it comes from, using the [Page N] markers in the paper text. " +
+                "Write \"Not reported\" when a paper doesn't say.\n\n" +
+                `Papers:\n${list}`;
+        },
+
+        /**
+         * Read the model's JSON answer into a table
+         * @param {string} text - Response text
+         * @param {Array<Object>} dimensions - From createDimensions
+         * @param {Array<Object>} papers - The papers, in the order they were numbered
+         * @returns {Object} - Table
+         */
+        parseResponse(text, dimensions, papers) {
+            let data;
+            try {
+                // Some models wrap JSON in a code fence despite the schema
+                data = JSON.parse(text.trim().replace(/^```(?:json)?\s*|\s*```$/g, ""));
+            } catch (e) {
+                throw new Error("The model did not return a valid comparison");
+            }
+            if (!Array.isArray(data?.papers)) {
+                throw new Error("The model did not return a valid comparison");
+            }
+
+            const rows = data.papers.map((entry) => {
+                const paper = papers[entry.paper - 1];
+                const cells = {};
+                for (const { id } of dimensions) {
+                    cells[id] = {
+                        value: String(entry[id]?.value ?? ""),
+                        pages: (entry[id]?.pages || []).map(String)
+                    };
+                }
+                return {
+                    title: paper?.title || `Paper ${entry.paper}`,
+                    attachmentID: paper?.attachmentID || null,
+                    cells
+                };
+            });
+
+            return { dimensions, rows };
+        },
+
+        /**
+         * Render a table whose columns sort when their header is clicked
+         * @param {Object} table - Table
+         * @param {Document} doc - Document for element creation
+         * @returns {HTMLElement} - Table element
+         */
+        render(table, doc) {
+            const tableEl = doc.createElement("table");
+            tableEl.className = "paper-chat-compare-table";
+
+            const thead = doc.createElement("thead");
+            const headerRow = doc.createElement("tr");
+            const tbody = doc.createElement("tbody");
+            const columns = [{ id: null, label: "Paper" }, ...table.dimensions];
+            let sort = { index: -1, descending: false };
+
+            const fillBody = (rows) => {
+                tbody.replaceChildren();
+                for (const row of rows) {
+                    const tr = doc.createElement("tr");
+                    const titleCell = doc.createElement("th");
+                    titleCell.scope = "row";
+                    titleCell.textContent = row.title;
+                    tr.appendChild(titleCell);
+
+                    for (const { id } of table.dimensions) {
+                        tr.appendChild(this.renderCell(row.cells[id], row.attachmentID, doc));
+                    }
+                    tbody.appendChild(tr);
+                }
+            };
+
+            columns.forEach((column, index) => {
+                const th = doc.createElement("th");
+                th.textContent = column.label;
+                th.title = "Click to sort";
+                th.addEventListener("click", () => {
+                    sort = { index, descending: sort.index === index && !sort.descending };
+                    headerRow.querySelectorAll("th").forEach((cell, i) => {
+                        cell.dataset.sort = i === index ? (sort.descending ? "descending" : "ascending") : "";
+                    });
+                    fillBody(this.sortRows(table, column.id, sort.descending));
+                });
+                headerRow.appendChild(th);
+            });
+
+            thead.appendChild(headerRow);
+            tableEl.append(thead, tbody);
+            fillBody(table.rows);
+            return tableEl;
+        },
+
+        /**
+         * Render one cell: the value, then links to its pages
+         */
+        renderCell(cell, attachmentID, doc) {
+            const td = doc.createElement("td");
+            td.appendChild(doc.createTextNode(cell.value));
+
+            if (cell.pages.length > 0) {
+                const pages = doc.createElement("span");
+                pages.className = "paper-chat-compare-pages";
+                pages.appendChild(doc.createTextNode(" ("));
+                cell.pages.forEach((pageLabel, i) => {
+                    if (i > 0) pages.appendChild(doc.createTextNode(", "));
+                    if (attachmentID && PaperChat.PDFNavigator) {
+                        pages.appendChild(PaperChat.PDFNavigator.createPageReference(attachmentID, pageLabel, doc, `p. ${pageLabel}`));
+                    } else {
+                        pages.appendChild(doc.createTextNode(`p. ${pageLabel}`));
+                    }
+                });
+                pages.appendChild(doc.createTextNode(")"));
+                td.appendChild(pages);
+            }
+            return td;
+        },
+
+        /**
+         * Rows sorted by one column (null for the title), numbers in numeric order
+         */
+        sortRows(table, dimensionID, descending) {
+            const valueOf = row => (dimensionID ? row.cells[dimensionID].value : row.title);
+            const sorted = [...table.rows].sort((a, b) =>
+                valueOf(a).localeCompare(valueOf(b), undefined, { numeric: true, sensitivity: "base" }));
+            return descending ? sorted.reverse() : sorted;
+        },
+
+        /**
+         * The table as Markdown, for the conversation history
+         */
+        toMarkdown(table) {
+            const escape = text => text.replace(/\|/g, "\\|").replace(/\n+/g, " ");
+            const cellText = cell => escape(cell.value) + (cell.pages.length ? ` (p. ${cell.pages.join(", ")})` : "");
+
+            const lines = [
+                `| Paper | ${table.dimensions.map(d => escape(d.label)).join(" | ")} |`,
+                `| --- | ${table.dimensions.map(() => "---").join(" | ")} |`
+            ];
+            for (const row of table.rows) {
+                lines.push(`| ${escape(row.title)} | ${table.dimensions.map(d => cellText(row.cells[d.id])).join(" | ")} |`);
+            }
+            return lines.join("\n");
+        },
+
+        /**
+         * The table as CSV, with a pages column after each dimension
+         */
+        toCSV(table) {
+            const quote = text => (/[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+            const header = ["Paper"];
+            for (const { label } of table.dimensions) {
+                header.push(label, `${label} (pages)`);
+            }
+
+            const lines = [header.map(quote).join(",")];
+            for (const row of table.rows) {
+                const fields = [row.title];
+                for (const { id } of table.dimensions) {
+                    fields.push(row.cells[id].value, row.cells[id].pages.join("; "));
+                }
+                lines.push(fields.map(quote).join(","));
+            }
+            return lines.join("\r\n") + "\r\n";
+        }
+    };
+
+    Zotero.debug("Paper Chat: Comparison Table module loaded");
+})();
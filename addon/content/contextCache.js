@@ -0,0 +1,173 @@
+/* global Zotero, PaperChat */
+/* Context Cache - Keep the paper context on the provider between questions */
+
+(function () {
+    const DEFAULT_TTL_MINUTES = 60;
+    // Providers refuse to cache small contexts (Gemini: 1,024-4,096 tokens depending on the model)
+    const MIN_CACHE_TOKENS = 4096;
+    // Extend a cache that expires sooner than this, so it outlives the next question
+    const RENEW_MARGIN_MS = 10 * 60 * 1000;
+    // Don't reference a cache that may expire while the request is in flight
+    const EXPIRY_MARGIN_MS = 30 * 1000;
+    // Caches are billed for storage while they live, so only the most recent ones are kept
+    const MAX_CACHES = 4;
+
+    /**
+     * Context Cache - the paper context (system prompt, paper text or files, and
+     * the model's acknowledgement) is stored on the provider with the first
+     * question and referenced by later ones, so it isn't paid for in full each turn.
+     *
+     * Providers opt in with contextCache: true and createCache/updateCache/deleteCache;
+     * buildRequest then gets the cache name as params.cachedContent. Caches are kept
+     * per provider, model and context, in memory: they expire on the provider anyway,
+     * but are deleted when the chat moves to other papers and on shutdown, as they
+     * are billed while they live.
+     */
+    PaperChat.ContextCache = {
+        caches: new Map(), // key -> { name, providerID, expiresAt }, least recently used first
+        refused: new Set(), // keys of contexts the provider wouldn't cache
+
+        /**
+         * Whether contexts sent to a provider are cached
+         * @param {Object} provider - Provider implementation
+         */
+        isEnabled(provider) {
+            return !!provider.contextCache && this.getTTLMinutes() > 0;
+        },
+
+        /**
+         * Name of a live cache holding a request's context, creating or renewing it as needed
+         * @param {Object} provider - Provider implementation
+         * @param {Object} params - buildRequest params, with the model
+         * @param {Object} options - { onStatus, signal }
+         * @returns {Promise<string|null>} - Cache name, or null to send the context itself
+         */
+        async get(provider, params, options = {}) {
+            if (!params.cacheContext || !this.isEnabled(provider)) return null;
+
+            const context = PaperChat.LLMService.buildContextText(params.systemPrompt, params.pdfContent, params.documents, params.quoteCitations);
+            if (params.documents.length === 0 && PaperChat.PDFExtractor.estimateTokens(context) < MIN_CACHE_TOKENS) {
+                return null;
+            }
+
+            const key = this.getKey(provider, params, context);
+            if (this.refused.has(key)) return null;
+
+            const ttlSeconds = this.getTTLMinutes() * 60;
+            const settings = { apiKey: params.apiKey, baseURL: params.baseURL };
+            let cache = this.caches.get(key);
+            this.caches.delete(key);
+
+            try {
+                if (cache && cache.expiresAt - Date.now() < RENEW_MARGIN_MS) {
+                    // Expired caches are gone on the provider: only live ones can be extended
+                    const renewed = cache.expiresAt - Date.now() > EXPIRY_MARGIN_MS
+                        ? await provider.updateCache({ ...settings, name: cache.name, ttlSeconds })
+                        : null;
+                    cache = renewed ? { ...cache, expiresAt: renewed.expiresAt } : null;
+                    Zotero.debug(`Paper Chat: Context cache ${renewed ? "renewed" : "expired"}`);
+                }
+
+                if (!cache) {
+                    options.onStatus?.("Caching paper context...");
+                    const created = await provider.createCache({ ...params, ttlSeconds, signal: options.signal });
+                    cache = { name: created.name, providerID: provider.id, expiresAt: created.expiresAt };
+                    Zotero.debug(`Paper Chat: Created context cache ${cache.name}, expires ${new Date(cache.expiresAt)}`);
+                    // Storing the context is billed as input tokens of its own
+                    if (created.usage) {
+                        await PaperChat.UsageTracker?.record(provider.id, params.model, created.usage);
+                    }
+                }
+            } catch (e) {
+                if (e.name === "AbortError") throw e;
+                // A rejected context (too small for the model, unsupported model) stays uncached;
+                // rate limits and network errors are tried again with the next question
+                if (e.status === 400) {
+                    this.refused.add(key);
+                }
+                Zotero.debug(`Paper Chat: Could not cache the context, sending it in full: ${e}`);
+                return null;
+            }
+
+            this.caches.set(key, cache);
+            this.evict();
+            return cache.name;
+        },
+
+        /**
+         * Stop using a cache the provider no longer accepts
+         * @param {string} name - Cache name
+         */
+        forget(name) {
+            for (const [key, cache] of this.caches) {
+                if (cache.name === name) {
+                    this.caches.delete(key);
+                }
+            }
+        },
+
+        /**
+         * Delete a cache from the provider, e.g. when the chat moves to other papers
+         * @param {string} name - Cache name, from the sendMessage result
+         */
+        release(name) {
+            for (const [key, cache] of this.caches) {
+                if (cache.name === name) {
+                    this.delete(key, cache);
+                }
+            }
+        },
+
+        /**
+         * Delete all live caches from the provider, on shutdown
+         */
+        clear() {
+            for (const [key, cache] of this.caches) {
+                this.delete(key, cache);
+            }
+            this.refused.clear();
+        },
+
+        /**
+         * Delete the least recently used caches beyond MAX_CACHES from the provider
+         */
+        evict() {
+            while (this.caches.size > MAX_CACHES) {
+                const [key, cache] = this.caches.entries().next().value;
+                this.delete(key, cache);
+            }
+        },
+
+        /**
+         * Stop using a cache and delete it from the provider, without waiting for the provider
+         */
+        delete(key, cache) {
+            this.caches.delete(key);
+            if (cache.expiresAt <= Date.now()) return;
+
+            const settings = { apiKey: PaperChat.getAPIKey(cache.providerID), baseURL: PaperChat.getBaseURL(cache.providerID) };
+            PaperChat.LLMService.getProvider(cache.providerID)
+                .deleteCache({ ...settings, name: cache.name })
+                .catch(e => Zotero.debug(`Paper Chat: Could not delete context cache ${cache.name}: ${e}`));
+        },
+
+        /**
+         * Identify a context by provider, model and content; the same paper text with
+         * another model (e.g. a fallback) needs its own cache
+         */
+        getKey(provider, params, context) {
+            const documents = params.documents.map(doc => doc.uri || doc.title).join("\n");
+            return `${provider.id}:${params.model}:${Zotero.Utilities.Internal.md5(`${context}\n${documents}`, false)}`;
+        },
+
+        /**
+         * How long a cache lives without questions, in minutes (0 turns caching off)
+         */
+        getTTLMinutes() {
+            const minutes = parseInt(Zotero.Prefs.get("extensions.zotero.paperchat.contextCacheMinutes", true), 10);
+            return Number.isNaN(minutes) ? DEFAULT_TTL_MINUTES : Math.max(minutes, 0);
+        }
+    };
+
+    Zotero.debug("Paper Chat: Context Cache module loaded");
+})();
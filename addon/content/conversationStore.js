@@ -1,120 +1,480 @@
-/* global Zotero, PaperChat */
+/* global Zotero, PaperChat, Services */
 /* Conversation Store - Persist chat history */
 
 (function () {
     const MAX_HISTORY_LENGTH = 20;
+    const DB_NAME = "paperchat";
+    const SCHEMA_VERSION = 2;
+    const DEFAULT_THREAD_TITLE = "New chat";
+    const LEGACY_PREF_PREFIX = "extensions.zotero.paperchat.history.";
 
     /**
      * Conversation Store - manages chat history persistence
+     *
+     * Conversations live in paperchat.sqlite in the Zotero data directory.
+     * Each context key (the item ID, or the sorted item IDs joined with "_"
+     * for multi-paper chats) can hold several named threads; a thread is a
+     * row in the conversations table and its ID is the conversationID.
+     *
+     * Other modules keep their tables in the same file and bring their own
+     * migrations to getDB(); the schemaVersions table records how many of each
+     * module's migrations have run.
      */
     PaperChat.ConversationStore = {
-        // In-memory cache of conversations
+        db: null,
+        initPromise: null,
+        migrations: new Map(), // module -> Promise of its migrations, once per connection
+
+        // In-memory cache of thread histories, keyed by threadID
         conversations: new Map(),
 
         /**
-         * Get conversation history for an item
+         * Open the database, create the schema and migrate pref-based histories
+         * @returns {Promise} - Resolves once the store is ready
+         */
+        init() {
+            if (!this.initPromise) {
+                this.initPromise = this._init().catch((e) => {
+                    Zotero.logError(`Paper Chat: Failed to initialize conversation database: ${e}`);
+                    throw e;
+                });
+            }
+            return this.initPromise;
+        },
+
+        async _init() {
+            this.db = new Zotero.DBConnection(DB_NAME);
+            await this.createSchema();
+            await this.migrateFromPrefs();
+            Zotero.debug("Paper Chat: Conversation database ready");
+        },
+
+        /**
+         * Close the database connection
+         */
+        async close() {
+            if (!this.db) return;
+            try {
+                await this.initPromise;
+            } catch (e) {
+                // Nothing to wait for
+            }
+            await this.db.closeDatabase();
+            this.db = null;
+            this.initPromise = null;
+            this.migrations.clear();
+            this.conversations.clear();
+        },
+
+        /**
+         * The database, for a module that keeps its own tables in it
+         * @param {string} module - Module name, the key of its schema version
+         * @param {Array<Function>} migrations - async (db) => {} steps creating and upgrading
+         *   the module's tables, oldest first; new steps are only ever appended
+         * @returns {Promise<Object>} - The Zotero.DBConnection, with the module's tables up to date
+         */
+        async getDB(module, migrations) {
+            await this.init();
+            if (!this.migrations.has(module)) {
+                this.migrations.set(module, this.migrate(module, migrations).catch((e) => {
+                    this.migrations.delete(module);
+                    Zotero.logError(`Paper Chat: Failed to upgrade the ${module} tables: ${e}`);
+                    throw e;
+                }));
+            }
+            await this.migrations.get(module);
+            return this.db;
+        },
+
+        /**
+         * Run a module's migrations that haven't run yet, in one transaction
+         */
+        async migrate(module, migrations) {
+            await this.db.queryAsync(
+                "CREATE TABLE IF NOT EXISTS schemaVersions (module TEXT PRIMARY KEY, version INTEGER NOT NULL)"
+            );
+            const version = await this.db.valueQueryAsync("SELECT version FROM schemaVersions WHERE module = ?", [module]) || 0;
+            if (version >= migrations.length) return;
+
+            await this.db.executeTransaction(async () => {
+                for (const migration of migrations.slice(version)) {
+                    await migration(this.db);
+                }
+                await this.db.queryAsync(
+                    "INSERT OR REPLACE INTO schemaVersions (module, version) VALUES (?, ?)",
+                    [module, migrations.length]
+                );
+            });
+        },
+
+        /**
+         * Create tables on first run and upgrade older schemas
+         */
+        async createSchema() {
+            const version = await this.db.valueQueryAsync("PRAGMA user_version");
+            if (version >= SCHEMA_VERSION) return;
+
+            await this.db.executeTransaction(async () => {
+                if (version < 1) {
+                    await this.createSchemaV1();
+                }
+                if (version < 2) {
+                    // Named threads
+                    await this.db.queryAsync(`ALTER TABLE conversations ADD COLUMN title TEXT NOT NULL DEFAULT '${DEFAULT_THREAD_TITLE}'`);
+                }
+                await this.db.queryAsync(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+            });
+        },
+
+        /**
+         * Initial schema: conversations, messages and participating items
+         */
+        async createSchemaV1() {
+            await this.db.queryAsync(`CREATE TABLE IF NOT EXISTS conversations (
+                conversationID INTEGER PRIMARY KEY,
+                contextKey TEXT NOT NULL,
+                createdAt INTEGER NOT NULL,
+                updatedAt INTEGER NOT NULL
+            )`);
+            await this.db.queryAsync("CREATE INDEX IF NOT EXISTS conversations_contextKey ON conversations(contextKey)");
+
+            await this.db.queryAsync(`CREATE TABLE IF NOT EXISTS messages (
+                messageID INTEGER PRIMARY KEY,
+                conversationID INTEGER NOT NULL REFERENCES conversations(conversationID) ON DELETE CASCADE,
+                role TEXT NOT NULL,
+                content TEXT NOT NULL,
+                timestamp INTEGER NOT NULL,
+                extra TEXT
+            )`);
+            await this.db.queryAsync("CREATE INDEX IF NOT EXISTS messages_conversationID ON messages(conversationID)");
+
+            await this.db.queryAsync(`CREATE TABLE IF NOT EXISTS conversationItems (
+                conversationID INTEGER NOT NULL REFERENCES conversations(conversationID) ON DELETE CASCADE,
+                itemID INTEGER NOT NULL,
+                PRIMARY KEY (conversationID, itemID)
+            )`);
+            await this.db.queryAsync("CREATE INDEX IF NOT EXISTS conversationItems_itemID ON conversationItems(itemID)");
+        },
+
+        /**
+         * Move histories stored as extensions.zotero.paperchat.history.<id> prefs into the database
+         */
+        async migrateFromPrefs() {
+            const keys = Services.prefs.getChildList(LEGACY_PREF_PREFIX);
+            if (keys.length === 0) return;
+
+            Zotero.debug(`Paper Chat: Migrating ${keys.length} conversation(s) from prefs`);
+
+            for (const key of keys) {
+                const contextKey = key.substring(LEGACY_PREF_PREFIX.length);
+                try {
+                    const history = JSON.parse(Zotero.Prefs.get(key, true) || "[]");
+                    if (history.length > 0 && !(await this.getConversationID(contextKey))) {
+                        await this.db.executeTransaction(async () => {
+                            const conversationID = await this.createConversation(contextKey, history[0].timestamp, "Chat");
+                            for (const msg of history) {
+                                await this.insertMessage(conversationID, msg);
+                            }
+                            await this.touchConversation(conversationID, history[history.length - 1].timestamp);
+                        });
+                    }
+                    Zotero.Prefs.clear(key, true);
+                } catch (e) {
+                    Zotero.logError(`Paper Chat: Failed to migrate history ${contextKey}: ${e}`);
+                }
+            }
+        },
+
+        /**
+         * List the threads of a chat context, most recently updated first
+         * @param {number|string} contextKey - Zotero item ID or composite context key
+         * @returns {Promise<Array>} - Array of { threadID, contextKey, title, createdAt, updatedAt, messageCount }
+         */
+        async listThreads(contextKey) {
+            if (!contextKey) return [];
+
+            await this.init();
+            const rows = await this.db.queryAsync(
+                "SELECT C.*, (SELECT COUNT(*) FROM messages M WHERE M.conversationID = C.conversationID) AS messageCount "
+                + "FROM conversations C WHERE contextKey = ? ORDER BY updatedAt DESC, conversationID DESC",
+                [String(contextKey)]
+            );
+            return rows.map(row => this.rowToThread(row));
+        },
+
+        /**
+         * List every thread an item participates in, including multi-paper threads
          * @param {number} itemID - Zotero item ID
-         * @returns {Array} - Array of message objects
+         * @returns {Promise<Array>} - Array of thread objects (see listThreads)
+         */
+        async listThreadsForItem(itemID) {
+            await this.init();
+            const rows = await this.db.queryAsync(
+                "SELECT C.*, (SELECT COUNT(*) FROM messages M WHERE M.conversationID = C.conversationID) AS messageCount "
+                + "FROM conversations C JOIN conversationItems CI USING (conversationID) "
+                + "WHERE CI.itemID = ? ORDER BY C.updatedAt DESC, C.conversationID DESC",
+                [itemID]
+            );
+            return rows.map(row => this.rowToThread(row));
+        },
+
+        /**
+         * Get a single thread
+         * @param {number} threadID - Thread ID
+         * @returns {Promise<Object|null>} - Thread object (see listThreads), or null
          */
-        getHistory(itemID) {
-            if (!itemID) return [];
+        async getThread(threadID) {
+            await this.init();
+            const row = await this.db.rowQueryAsync(
+                "SELECT C.*, (SELECT COUNT(*) FROM messages M WHERE M.conversationID = C.conversationID) AS messageCount "
+                + "FROM conversations C WHERE conversationID = ?",
+                [threadID]
+            );
+            return row ? this.rowToThread(row) : null;
+        },
+
+        /**
+         * Create a new, empty thread for a chat context
+         * @param {number|string} contextKey - Zotero item ID or composite context key
+         * @param {string} title - Thread title
+         * @param {Array<number>} itemIDs - The papers' item IDs, for contexts whose key doesn't
+         *   list them (collections and saved searches); defaults to the IDs in the key
+         * @returns {Promise<number>} - The new threadID
+         */
+        async createThread(contextKey, title = DEFAULT_THREAD_TITLE, itemIDs = null) {
+            await this.init();
+            return this.db.executeTransaction(async () => {
+                return this.createConversation(contextKey, Date.now(), title, itemIDs);
+            });
+        },
+
+        /**
+         * Rename a thread
+         * @param {number} threadID - Thread ID
+         * @param {string} title - New title
+         */
+        async renameThread(threadID, title) {
+            await this.init();
+            await this.db.queryAsync(
+                "UPDATE conversations SET title = ?, updatedAt = ? WHERE conversationID = ?",
+                [title.trim() || DEFAULT_THREAD_TITLE, Date.now(), threadID]
+            );
+        },
+
+        /**
+         * Delete a thread and its messages
+         * @param {number} threadID - Thread ID
+         */
+        async deleteThread(threadID) {
+            if (!threadID) return;
+
+            this.conversations.delete(threadID);
+            try {
+                await this.init();
+                await this.db.executeTransaction(async () => {
+                    await this.db.queryAsync("DELETE FROM messages WHERE conversationID = ?", [threadID]);
+                    await this.db.queryAsync("DELETE FROM conversationItems WHERE conversationID = ?", [threadID]);
+                    await this.db.queryAsync("DELETE FROM conversations WHERE conversationID = ?", [threadID]);
+                });
+            } catch (e) {
+                Zotero.debug(`Paper Chat: Failed to delete thread ${threadID}: ${e}`);
+            }
+        },
+
+        /**
+         * Get the message history of a thread
+         * @param {number} threadID - Thread ID
+         * @returns {Promise<Array>} - Array of message objects
+         */
+        async getHistory(threadID) {
+            if (!threadID) return [];
 
             // Check cache first
-            if (this.conversations.has(itemID)) {
-                return this.conversations.get(itemID);
+            if (this.conversations.has(threadID)) {
+                return this.conversations.get(threadID);
             }
 
             // Load from storage
-            const history = this.loadFromStorage(itemID);
-            this.conversations.set(itemID, history);
+            const history = await this.loadFromStorage(threadID);
+            this.conversations.set(threadID, history);
             return history;
         },
 
         /**
-         * Add a message to conversation history
-         * @param {number} itemID - Zotero item ID
+         * Add a message to a thread
+         * @param {number} threadID - Thread ID
          * @param {string} role - 'user' or 'assistant'
          * @param {string} content - Message content
+         * @param {Object} extra - Optional extra fields (e.g. { cancelled: true })
          */
-        addMessage(itemID, role, content) {
-            if (!itemID) return;
+        async addMessage(threadID, role, content, extra = {}) {
+            if (!threadID) return;
 
-            const history = this.getHistory(itemID);
-
-            history.push({
+            const history = await this.getHistory(threadID);
+            const msg = {
                 role,
                 content,
-                timestamp: Date.now()
-            });
-
-            // Trim to max length
-            const maxLength = PaperChat.getMaxHistoryLength();
-            while (history.length > maxLength) {
-                history.shift();
-            }
+                timestamp: Date.now(),
+                ...extra
+            };
 
-            this.conversations.set(itemID, history);
-            this.saveToStorage(itemID, history);
+            history.push(msg);
+            this.conversations.set(threadID, history);
+            await this.saveToStorage(threadID, msg);
         },
 
         /**
-         * Clear conversation history for an item
-         * @param {number} itemID - Zotero item ID
+         * Clear the messages of a thread, keeping the thread itself
+         * @param {number} threadID - Thread ID
          */
-        clearHistory(itemID) {
-            if (!itemID) return;
+        async clearHistory(threadID) {
+            if (!threadID) return;
 
-            this.conversations.delete(itemID);
-            this.removeFromStorage(itemID);
+            this.conversations.delete(threadID);
+            await this.removeFromStorage(threadID);
         },
 
         /**
-         * Load conversation from Zotero preferences storage
+         * Load a thread's messages from the database
          */
-        loadFromStorage(itemID) {
+        async loadFromStorage(threadID) {
             try {
-                const key = `extensions.zotero.paperchat.history.${itemID}`;
-                const data = Zotero.Prefs.get(key, true);
-                if (data) {
-                    return JSON.parse(data);
-                }
+                await this.init();
+                const rows = await this.db.queryAsync(
+                    "SELECT role, content, timestamp, extra FROM messages WHERE conversationID = ? ORDER BY timestamp, messageID",
+                    [threadID]
+                );
+                return rows.map(row => ({
+                    role: row.role,
+                    content: row.content,
+                    timestamp: row.timestamp,
+                    ...(row.extra ? JSON.parse(row.extra) : {})
+                }));
             } catch (e) {
-                Zotero.debug(`Paper Chat: Failed to load history for ${itemID}: ${e}`);
+                Zotero.debug(`Paper Chat: Failed to load history for thread ${threadID}: ${e}`);
             }
             return [];
         },
 
         /**
-         * Save conversation to Zotero preferences storage
+         * Save a new message to the database
          */
-        saveToStorage(itemID, history) {
+        async saveToStorage(threadID, msg) {
             try {
-                const key = `extensions.zotero.paperchat.history.${itemID}`;
-                Zotero.Prefs.set(key, JSON.stringify(history), true);
+                await this.init();
+                await this.db.executeTransaction(async () => {
+                    await this.insertMessage(threadID, msg);
+                    await this.touchConversation(threadID, msg.timestamp);
+                });
             } catch (e) {
-                Zotero.debug(`Paper Chat: Failed to save history for ${itemID}: ${e}`);
+                Zotero.debug(`Paper Chat: Failed to save history for thread ${threadID}: ${e}`);
             }
         },
 
         /**
-         * Remove conversation from storage
+         * Remove a thread's messages from the database
          */
-        removeFromStorage(itemID) {
+        async removeFromStorage(threadID) {
             try {
-                const key = `extensions.zotero.paperchat.history.${itemID}`;
-                Zotero.Prefs.clear(key, true);
+                await this.init();
+                await this.db.executeTransaction(async () => {
+                    await this.db.queryAsync("DELETE FROM messages WHERE conversationID = ?", [threadID]);
+                    await this.touchConversation(threadID);
+                });
             } catch (e) {
-                Zotero.debug(`Paper Chat: Failed to clear history for ${itemID}: ${e}`);
+                Zotero.debug(`Paper Chat: Failed to clear history for thread ${threadID}: ${e}`);
             }
         },
 
         /**
-         * Export conversation as text
-         * @param {number} itemID - Zotero item ID
-         * @returns {string} - Formatted conversation text
+         * Convert a conversations row to a thread object
+         */
+        rowToThread(row) {
+            return {
+                threadID: row.conversationID,
+                contextKey: row.contextKey,
+                title: row.title,
+                createdAt: row.createdAt,
+                updatedAt: row.updatedAt,
+                messageCount: row.messageCount
+            };
+        },
+
+        /**
+         * Look up the most recent conversation row for a context key
+         * @returns {Promise<number|false>} - conversationID, or false if none
+         */
+        async getConversationID(contextKey) {
+            return this.db.valueQueryAsync(
+                "SELECT conversationID FROM conversations WHERE contextKey = ? ORDER BY updatedAt DESC LIMIT 1",
+                [String(contextKey)]
+            );
+        },
+
+        /**
+         * Create a conversation row and record its participating items
+         * @returns {Promise<number>} - The new conversationID
+         */
+        async createConversation(contextKey, timestamp = Date.now(), title = DEFAULT_THREAD_TITLE, itemIDs = null) {
+            contextKey = String(contextKey);
+            await this.db.queryAsync(
+                "INSERT INTO conversations (contextKey, title, createdAt, updatedAt) VALUES (?, ?, ?, ?)",
+                [contextKey, title, timestamp, timestamp]
+            );
+            const conversationID = await this.db.valueQueryAsync("SELECT last_insert_rowid()");
+
+            for (const id of itemIDs || this.getItemIDs(contextKey)) {
+                await this.db.queryAsync(
+                    "INSERT OR IGNORE INTO conversationItems (conversationID, itemID) VALUES (?, ?)",
+                    [conversationID, id]
+                );
+            }
+            return conversationID;
+        },
+
+        /**
+         * Insert one message row; fields beyond role/content/timestamp go in `extra`
+         */
+        async insertMessage(conversationID, msg) {
+            const { role, content, timestamp, ...extra } = msg;
+            await this.db.queryAsync(
+                "INSERT INTO messages (conversationID, role, content, timestamp, extra) VALUES (?, ?, ?, ?, ?)",
+                [
+                    conversationID,
+                    role,
+                    content || "",
+                    timestamp || Date.now(),
+                    Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+                ]
+            );
+        },
+
+        /**
+         * Bump a conversation's updatedAt
+         */
+        async touchConversation(conversationID, timestamp = Date.now()) {
+            await this.db.queryAsync(
+                "UPDATE conversations SET updatedAt = ? WHERE conversationID = ?",
+                [timestamp, conversationID]
+            );
+        },
+
+        /**
+         * Split a context key into its item IDs
+         * @param {number|string} contextKey - "12" or "12_34"
+         * @returns {Array<number>} - Item IDs (none for collection and saved search keys)
+         */
+        getItemIDs(contextKey) {
+            return String(contextKey).split("_").map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+        },
+
+        /**
+         * Export a thread as text
+         * @param {number} threadID - Thread ID
+         * @returns {Promise<string>} - Formatted conversation text
          */
-        exportAsText(itemID) {
-            const history = this.getHistory(itemID);
+        async exportAsText(threadID) {
+            const history = await this.getHistory(threadID);
             let text = "Paper Chat Conversation Export\n";
             text += "=".repeat(40) + "\n\n";
 
@@ -131,8 +491,8 @@
         /**
          * Get summary statistics
          */
-        getStats(itemID) {
-            const history = this.getHistory(itemID);
+        async getStats(threadID) {
+            const history = await this.getHistory(threadID);
             return {
                 messageCount: history.length,
                 userMessages: history.filter(m => m.role === "user").length,
@@ -144,6 +504,7 @@
     };
 
     // Add helper to main PaperChat object
+    // History is no longer trimmed in storage; this caps how many past messages are sent as context.
     PaperChat.getMaxHistoryLength = function () {
         return Zotero.Prefs.get("extensions.zotero.paperchat.maxHistoryLength", true) || MAX_HISTORY_LENGTH;
     };
@@ -0,0 +1,165 @@
+/* global Zotero, PaperChat */
+/* Extraction Cache - Keep extracted page text across selections and restarts */
+
+(function () {
+    const DEFAULT_SIZE_MB = 100;
+    // The extractionCache table (see ConversationStore.getDB)
+    const MIGRATIONS = [
+        db => db.queryAsync(`CREATE TABLE IF NOT EXISTS extractionCache (
+            attachmentID INTEGER PRIMARY KEY,
+            fileModTime INTEGER NOT NULL,
+            fileSize INTEGER NOT NULL,
+            content TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            accessedAt INTEGER NOT NULL
+        )`)
+    ];
+
+    /**
+     * Extraction Cache - per-page extraction results in the extractionCache
+     * table of paperchat.sqlite, so reopening a paper doesn't extract it again.
+     *
+     * Entries are keyed by attachment ID and checked against the file's
+     * modification time and size, so a changed PDF is extracted again. When
+     * the cache grows past its size cap, the least recently used entries go.
+     */
+    PaperChat.ExtractionCache = {
+        /**
+         * Cached extraction of an attachment, if its file hasn't changed since
+         * @param {Zotero.Item} attachment - PDF attachment
+         * @returns {Promise<Object|null>} - { text, pages, pageCount, ocr, partial }
+         */
+        async get(attachment) {
+            try {
+                const file = await PaperChat.PDFExtractor.getFileInfo(attachment);
+                if (!file) return null;
+
+                const db = await this.getDB();
+                const row = (await db.queryAsync(
+                    "SELECT fileModTime, fileSize, content FROM extractionCache WHERE attachmentID = ?",
+                    [attachment.id]
+                ))[0];
+                if (!row) return null;
+
+                if (row.fileModTime !== file.lastModified || row.fileSize !== file.size) {
+                    Zotero.debug(`Paper Chat: PDF of attachment ${attachment.id} changed, extracting again`);
+                    await db.queryAsync("DELETE FROM extractionCache WHERE attachmentID = ?", [attachment.id]);
+                    return null;
+                }
+
+                await db.queryAsync("UPDATE extractionCache SET accessedAt = ? WHERE attachmentID = ?", [Date.now(), attachment.id]);
+
+                // Text with page boundaries is rebuilt from the pages rather than stored twice
+                const content = JSON.parse(row.content);
+                return {
+                    text: content.text ?? PaperChat.PDFExtractor.formatPages(content.pages),
+                    pages: content.pages,
+                    pageCount: content.pageCount,
+                    ocr: !!content.ocr,
+                    partial: !!content.partial
+                };
+            } catch (e) {
+                Zotero.debug(`Paper Chat: Could not read the extraction cache: ${e}`);
+                return null;
+            }
+        },
+
+        /**
+         * Cache an attachment's extraction, then trim the cache to its size cap
+         * @param {Zotero.Item} attachment - PDF attachment
+         * @param {Object} fullText - { text, pages, pageCount, ocr, partial } from an extraction source
+         */
+        async set(attachment, fullText) {
+            try {
+                const file = await PaperChat.PDFExtractor.getFileInfo(attachment);
+                if (!file) return;
+
+                const pages = fullText.pages || [];
+                const content = JSON.stringify({
+                    text: pages.length > 0 ? null : fullText.text,
+                    pages,
+                    pageCount: fullText.pageCount || pages.length,
+                    ocr: !!fullText.ocr,
+                    partial: !!fullText.partial
+                });
+
+                const db = await this.getDB();
+                await db.queryAsync(
+                    "INSERT OR REPLACE INTO extractionCache (attachmentID, fileModTime, fileSize, content, size, accessedAt) "
+                    + "VALUES (?, ?, ?, ?, ?, ?)",
+                    [attachment.id, file.lastModified, file.size, content, content.length, Date.now()]
+                );
+                await this.evict();
+            } catch (e) {
+                Zotero.debug(`Paper Chat: Could not write the extraction cache: ${e}`);
+            }
+        },
+
+        /**
+         * Remove the least recently used entries until the cache fits its size cap
+         */
+        async evict() {
+            const db = await this.getDB();
+            const rows = await db.queryAsync("SELECT attachmentID, size FROM extractionCache ORDER BY accessedAt DESC");
+
+            const limit = this.getSizeLimit();
+            let total = 0;
+            const evicted = [];
+            for (const row of rows) {
+                total += row.size;
+                if (total > limit) {
+                    evicted.push(row.attachmentID);
+                }
+            }
+
+            if (evicted.length > 0) {
+                await db.executeTransaction(async () => {
+                    for (const attachmentID of evicted) {
+                        await db.queryAsync("DELETE FROM extractionCache WHERE attachmentID = ?", [attachmentID]);
+                    }
+                });
+                Zotero.debug(`Paper Chat: Evicted ${evicted.length} papers from the extraction cache`);
+            }
+        },
+
+        /**
+         * Drop one attachment's entry, or everything
+         * @param {number} attachmentID - Attachment ID (optional)
+         */
+        async clear(attachmentID = null) {
+            const db = await this.getDB();
+            if (attachmentID) {
+                await db.queryAsync("DELETE FROM extractionCache WHERE attachmentID = ?", [attachmentID]);
+            } else {
+                await db.queryAsync("DELETE FROM extractionCache");
+            }
+        },
+
+        /**
+         * Number of cached papers and their size
+         * @returns {Promise<Object>} - { count, size } (size in characters, about the same in bytes)
+         */
+        async getUsage() {
+            const db = await this.getDB();
+            const row = (await db.queryAsync("SELECT COUNT(*) AS count, SUM(size) AS size FROM extractionCache"))[0];
+            return { count: row?.count || 0, size: row?.size || 0 };
+        },
+
+        /**
+         * Size cap in bytes
+         */
+        getSizeLimit() {
+            const mb = parseInt(Zotero.Prefs.get("extensions.zotero.paperchat.extractionCacheMB", true), 10);
+            return (Number.isNaN(mb) ? DEFAULT_SIZE_MB : Math.max(mb, 0)) * 1024 * 1024;
+        },
+
+        /**
+         * The database, with the cache table
+         */
+        getDB() {
+            return PaperChat.ConversationStore.getDB("extractionCache", MIGRATIONS);
+        }
+    };
+
+    Zotero.debug("Paper Chat: Extraction Cache module loaded");
+})();
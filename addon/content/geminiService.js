@@ -2,106 +2,118 @@
 /* Gemini API Service for Paper Chat */
 
 (function () {
-    const GEMINI_API_BASE = "https://generativelanguage.googleapis.com/v1beta/models";
+    const GEMINI_API_BASE = "https://generativelanguage.googleapis.com/v1beta";
 
     /**
-     * Gemini Service - handles all API interactions
+     * Gemini Service - Google Gemini generateContent provider
      */
     PaperChat.GeminiService = {
+        id: "gemini",
+        label: "Google Gemini",
+        requiresAPIKey: true,
+        defaultBaseURL: GEMINI_API_BASE,
+        nativePDF: "upload",
+        pdfPageTokens: 258,
+        contextCache: true,
+
         /**
-         * Send a message to Gemini API
-         * @param {string} message - User message
-         * @param {string} pdfContent - PDF text content for context
-         * @param {Array} conversationHistory - Previous messages
-         * @param {Array} images - Optional array of base64 images
-         * @returns {Promise<Object>} - Response with text and references
-         */
-        async sendMessage(message, pdfContent, conversationHistory = [], images = []) {
-            const apiKey = PaperChat.getAPIKey();
-            if (!apiKey) {
-                throw new Error("API key not configured. Please set your Gemini API key in preferences.");
-            }
-
-            // Use gemini-3-flash-preview as requested (Warning: Strict rate limits apply)
-            const model = PaperChat.getModel() || "gemini-3-flash-preview";
-            const systemPrompt = PaperChat.getSystemPrompt();
-
-            // Build the contents array
-            const contents = this.buildContents(message, pdfContent, conversationHistory, systemPrompt, images);
-
-            const url = `${GEMINI_API_BASE}/${model}:generateContent?key=${apiKey}`;
-
-            try {
-                const response = await fetch(url, {
-                    method: "POST",
-                    headers: {
-                        "Content-Type": "application/json",
-                    },
-                    body: JSON.stringify({
-                        contents,
-                        generationConfig: {
-                            temperature: 0.7,
-                            topK: 40,
-                            topP: 0.95,
-                            maxOutputTokens: 8192,
-                        },
-                        safetySettings: [
-                            { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-                            { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-                            { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-                            { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
-                        ],
-                    }),
-                });
+         * Build the generateContent request
+         * @param {Object} params - See LLMService provider interface
+         * @returns {Object} - { url, headers, body }
+         */
+        buildRequest({ apiKey, baseURL, model, systemPrompt, pdfContent, history, message, images, documents, stream, responseSchema, quoteCitations, cachedContent }) {
+            // Build the contents array (a cached context replaces the first two turns)
+            const contents = cachedContent
+                ? this.buildTurns(message, history, images)
+                : this.buildContents(message, pdfContent, history, systemPrompt, images, documents, quoteCitations);
+            const method = stream ? "streamGenerateContent?alt=sse&" : "generateContent?";
+
+            const generationConfig = {
+                temperature: 0.7,
+                topK: 40,
+                topP: 0.95,
+                maxOutputTokens: 8192,
+            };
+            if (responseSchema) {
+                generationConfig.responseMimeType = "application/json";
+                generationConfig.responseSchema = this.toResponseSchema(responseSchema);
+            }
 
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+            return {
+                url: `${baseURL || GEMINI_API_BASE}/models/${model}:${method}key=${apiKey}`,
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: {
+                    ...(cachedContent ? { cachedContent } : {}),
+                    contents,
+                    generationConfig,
+                    safetySettings: [
+                        { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+                        { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+                        { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+                        { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
+                    ],
                 }
+            };
+        },
 
-                const data = await response.json();
-                return this.parseResponse(data);
-            } catch (e) {
-                Zotero.logError("Paper Chat: Gemini API error: " + e);
-                throw e;
+        /**
+         * Convert a JSON Schema to Gemini's responseSchema (an OpenAPI subset without
+         * additionalProperties), keeping the property order
+         */
+        toResponseSchema(schema) {
+            const result = { type: schema.type.toUpperCase() };
+            if (schema.description) result.description = schema.description;
+            if (schema.enum) result.enum = schema.enum;
+            if (schema.items) result.items = this.toResponseSchema(schema.items);
+            if (schema.properties) {
+                result.properties = {};
+                for (const [name, property] of Object.entries(schema.properties)) {
+                    result.properties[name] = this.toResponseSchema(property);
+                }
+                result.propertyOrdering = Object.keys(schema.properties);
             }
+            if (schema.required) result.required = schema.required;
+            return result;
         },
 
         /**
          * Build the contents array for the API request
          */
-        buildContents(message, pdfContent, conversationHistory, systemPrompt, images) {
-            const contents = [];
+        buildContents(message, pdfContent, conversationHistory, systemPrompt, images, documents = [], quoteCitations = false) {
+            // A standalone request (no pdfContent) has no context turns
+            return [
+                ...(pdfContent === null ? [] : this.buildContextContents(pdfContent, systemPrompt, documents, quoteCitations)),
+                ...this.buildTurns(message, conversationHistory, images)
+            ];
+        },
 
-            // System context with PDF content (as first user message for Gemini)
-            const contextParts = [
+        /**
+         * The paper context turns: the context as the first user message, and the model's acknowledgement
+         */
+        buildContextContents(pdfContent, systemPrompt, documents = [], quoteCitations = false) {
+            // System context with PDF content (as first user message for Gemini),
+            // after the PDF files themselves in native PDF mode
+            const contextParts = documents.map(doc => (doc.uri
+                ? { fileData: { mimeType: doc.mimeType, fileUri: doc.uri } }
+                : { inlineData: { mimeType: doc.mimeType, data: doc.data } }));
+            contextParts.push({ text: PaperChat.LLMService.buildContextText(systemPrompt, pdfContent, documents, quoteCitations) });
+
+            return [
+                { role: "user", parts: contextParts },
                 {
-                    text: `${systemPrompt}\n\n--- PAPER CONTENT ---\n${pdfContent}\n--- END PAPER CONTENT ---\n\nPlease analyze this paper and respond to user queries. When referencing specific parts, mention page numbers like "On page X..." or "(page X)".`
+                    role: "model",
+                    parts: [{ text: "I have analyzed the paper. I'm ready to help you understand its content. Feel free to ask any questions about it." }]
                 }
             ];
+        },
 
-            // Add images if provided
-            if (images && images.length > 0) {
-                for (const img of images) {
-                    contextParts.push({
-                        inlineData: {
-                            mimeType: img.mimeType || "image/png",
-                            data: img.data
-                        }
-                    });
-                }
-            }
-
-            contents.push({
-                role: "user",
-                parts: contextParts
-            });
-
-            // Add acknowledgment
-            contents.push({
-                role: "model",
-                parts: [{ text: "I have analyzed the paper. I'm ready to help you understand its content. Feel free to ask any questions about it." }]
-            });
+        /**
+         * The conversation turns after the context: history, then the current message
+         */
+        buildTurns(message, conversationHistory, images) {
+            const contents = [];
 
             // Add conversation history
             for (const msg of conversationHistory) {
@@ -111,11 +123,17 @@
                 });
             }
 
-            // Add current message
-            contents.push({
-                role: "user",
-                parts: [{ text: message }]
-            });
+            // Add current message, with images if provided
+            const parts = [{ text: message }];
+            for (const img of images || []) {
+                parts.push({
+                    inlineData: {
+                        mimeType: img.mimeType || "image/png",
+                        data: img.data
+                    }
+                });
+            }
+            contents.push({ role: "user", parts });
 
             return contents;
         },
@@ -135,80 +153,242 @@
 
             const text = candidate.content?.parts?.[0]?.text || "";
 
-            // Extract page references from the response
-            const references = this.extractPageReferences(text);
-
             return {
                 text,
-                references,
                 usage: data.usageMetadata
             };
         },
 
         /**
-         * Extract page references from response text
+         * Parse one streamed (SSE) chunk - each is a partial generateContent response
          */
-        extractPageReferences(text) {
-            const references = [];
+        parseStreamEvent(data) {
+            const candidate = data.candidates?.[0];
+            if (candidate?.finishReason === "SAFETY") {
+                throw new Error("Response blocked by safety filters");
+            }
 
-            // Match patterns like "page 5", "Page 12", "(page 3)", "pages 5-7"
-            const pageRegex = /(?:page|Page|PAGE)\s*(\d+)(?:\s*[-–]\s*(\d+))?/g;
-            let match;
+            return {
+                text: (candidate?.content?.parts || []).map(part => part.text || "").join(""),
+                usage: data.usageMetadata
+            };
+        },
 
-            while ((match = pageRegex.exec(text)) !== null) {
-                const startPage = parseInt(match[1], 10);
-                const endPage = match[2] ? parseInt(match[2], 10) : startPage;
+        /**
+         * Token counts from usageMetadata (thinking tokens are billed as output)
+         */
+        getTokenCounts(usage) {
+            if (!usage?.promptTokenCount) return null;
+            return {
+                inputTokens: usage.promptTokenCount,
+                outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+                cachedTokens: usage.cachedContentTokenCount || 0
+            };
+        },
 
-                for (let p = startPage; p <= endPage; p++) {
-                    if (!references.includes(p)) {
-                        references.push(p);
-                    }
-                }
+        /**
+         * Extract the error message from an error response body
+         */
+        getErrorMessage(data) {
+            return data.error?.message;
+        },
+
+        /**
+         * Read the retry delay from a 429 error body (google.rpc.RetryInfo, e.g. "37s")
+         * @returns {number|null} - Delay in milliseconds
+         */
+        getRetryDelay(data) {
+            const details = data.error?.details || [];
+            const retryInfo = details.find(d => d["@type"]?.endsWith("google.rpc.RetryInfo"));
+            const match = retryInfo?.retryDelay?.match(/^([\d.]+)s$/);
+            if (match) {
+                return parseFloat(match[1]) * 1000;
             }
 
-            return references.sort((a, b) => a - b);
+            // Older responses only mention it in the message: "Please retry in 37.2s."
+            const messageMatch = data.error?.message?.match(/retry in ([\d.]+)s/i);
+            return messageMatch ? parseFloat(messageMatch[1]) * 1000 : null;
         },
 
         /**
-         * Generate quick action prompts
+         * Upload a file through the Files API (resumable upload in one request),
+         * waiting until Gemini has processed it
+         * @returns {Promise<Object>} - { name, uri, mimeType, state, expiresAt }
          */
-        getQuickActionPrompt(action) {
-            const prompts = {
-                summarize: "Please provide a concise summary of this paper, including the main research question, methodology, key findings, and conclusions. Keep it to about 3-4 paragraphs.",
-                findings: "What are the key findings and results of this paper? Please list them with their significance and the page numbers where they are discussed.",
-                methodology: "Explain the methodology used in this paper. What approach did the researchers take, what data did they use, and how did they analyze it?",
-                conclusions: "What are the main conclusions of this paper? What do the authors suggest for future research?",
-                contributions: "What are the main contributions of this paper to its field? Why is this research significant?",
-                limitations: "What are the limitations of this study as discussed in the paper?",
-                related: "What related work and prior research does this paper build upon?"
+        async uploadFile({ apiKey, baseURL, bytes, mimeType, displayName, signal }) {
+            // The upload endpoint is the API base with /upload in front of the version
+            const uploadBase = (baseURL || GEMINI_API_BASE).replace(/\/(v\w+)$/, "/upload/$1");
+            const start = await fetch(`${uploadBase}/files?key=${apiKey}`, {
+                method: "POST",
+                headers: {
+                    "X-Goog-Upload-Protocol": "resumable",
+                    "X-Goog-Upload-Command": "start",
+                    "X-Goog-Upload-Header-Content-Length": String(bytes.length),
+                    "X-Goog-Upload-Header-Content-Type": mimeType,
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({ file: { display_name: displayName } }),
+                signal,
+            });
+            const uploadURL = start.ok && start.headers.get("X-Goog-Upload-URL");
+            if (!uploadURL) {
+                throw await this.toError("Upload error", start);
+            }
+
+            const response = await fetch(uploadURL, {
+                method: "POST",
+                headers: {
+                    "X-Goog-Upload-Offset": "0",
+                    "X-Goog-Upload-Command": "upload, finalize",
+                },
+                body: bytes,
+                signal,
+            });
+            if (!response.ok) {
+                throw await this.toError("Upload error", response);
+            }
+
+            let file = this.toFileHandle((await response.json()).file);
+            while (file?.state === "PROCESSING") {
+                signal?.throwIfAborted();
+                await Zotero.Promise.delay(2000);
+                file = await this.getFile({ apiKey, baseURL, name: file.name });
+            }
+            if (file?.state !== "ACTIVE") {
+                throw new Error("Gemini could not process the uploaded PDF");
+            }
+            return file;
+        },
+
+        /**
+         * Look up an uploaded file
+         * @returns {Promise<Object|null>} - { name, uri, mimeType, state, expiresAt }, or null if it is gone
+         */
+        async getFile({ apiKey, baseURL, name }) {
+            const response = await fetch(`${baseURL || GEMINI_API_BASE}/${name}?key=${apiKey}`);
+            if (!response.ok) {
+                return null;
+            }
+            return this.toFileHandle(await response.json());
+        },
+
+        /**
+         * Store a paper context as a cachedContent resource
+         * @param {Object} params - buildRequest params, with ttlSeconds and signal
+         * @returns {Promise<Object>} - { name, expiresAt, usage }, usage being the tokens stored
+         */
+        async createCache({ apiKey, baseURL, model, systemPrompt, pdfContent, documents, quoteCitations, ttlSeconds, signal }) {
+            const response = await fetch(`${baseURL || GEMINI_API_BASE}/cachedContents?key=${apiKey}`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    model: `models/${model}`,
+                    displayName: "Paper Chat context",
+                    contents: this.buildContextContents(pdfContent, systemPrompt, documents, quoteCitations),
+                    ttl: `${ttlSeconds}s`
+                }),
+                signal,
+            });
+            if (!response.ok) {
+                throw await this.toError("Cache error", response);
+            }
+            const cache = await response.json();
+            return {
+                ...this.toCacheHandle(cache),
+                usage: { inputTokens: cache.usageMetadata?.totalTokenCount || 0, outputTokens: 0, cachedTokens: 0 }
             };
+        },
 
-            return prompts[action] || action;
+        /**
+         * Extend a cache's lifetime
+         * @returns {Promise<Object|null>} - { name, expiresAt }, or null if the cache is gone
+         */
+        async updateCache({ apiKey, baseURL, name, ttlSeconds }) {
+            const response = await fetch(`${baseURL || GEMINI_API_BASE}/${name}?updateMask=ttl&key=${apiKey}`, {
+                method: "PATCH",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ ttl: `${ttlSeconds}s` }),
+            });
+            if (response.status === 403 || response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                throw await this.toError("Cache error", response);
+            }
+            return this.toCacheHandle(await response.json());
         },
 
         /**
-         * Test API connection
+         * Delete a cache before it expires
          */
-        async testConnection() {
-            const apiKey = PaperChat.getAPIKey();
-            if (!apiKey) {
-                return { success: false, error: "No API key configured" };
+        async deleteCache({ apiKey, baseURL, name }) {
+            const response = await fetch(`${baseURL || GEMINI_API_BASE}/${name}?key=${apiKey}`, { method: "DELETE" });
+            if (!response.ok && response.status !== 404) {
+                throw await this.toError("Cache error", response);
             }
+        },
+
+        toCacheHandle(cache) {
+            return { name: cache.name, expiresAt: Date.parse(cache.expireTime) || 0 };
+        },
+
+        toFileHandle(file) {
+            if (!file) return null;
+            return {
+                name: file.name,
+                uri: file.uri,
+                mimeType: file.mimeType,
+                state: file.state,
+                expiresAt: Date.parse(file.expirationTime) || 0
+            };
+        },
 
-            try {
-                const url = `${GEMINI_API_BASE}?key=${apiKey}`;
-                const response = await fetch(url);
+        async toError(prefix, response) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(`${prefix}: ${response.status} - ${this.getErrorMessage(data) || response.statusText}`);
+            error.status = response.status;
+            return error;
+        },
 
-                if (response.ok) {
-                    return { success: true };
-                } else {
-                    return { success: false, error: `HTTP ${response.status}` };
+        /**
+         * Build a batch embedding request
+         */
+        buildEmbeddingRequest({ apiKey, baseURL, model, texts }) {
+            return {
+                url: `${baseURL || GEMINI_API_BASE}/models/${model}:batchEmbedContents?key=${apiKey}`,
+                headers: { "Content-Type": "application/json" },
+                body: {
+                    requests: texts.map(text => ({
+                        model: `models/${model}`,
+                        content: { parts: [{ text }] }
+                    }))
                 }
-            } catch (e) {
-                return { success: false, error: e.message };
+            };
+        },
+
+        /**
+         * Parse a batch embedding response
+         */
+        parseEmbeddingResponse(data) {
+            return (data.embeddings || []).map(e => e.values);
+        },
+
+        /**
+         * Test API connection
+         */
+        async testConnection({ apiKey, baseURL }) {
+            const url = `${baseURL || GEMINI_API_BASE}/models?key=${apiKey}`;
+            const response = await fetch(url);
+
+            if (response.ok) {
+                return { success: true };
+            } else {
+                return { success: false, error: `HTTP ${response.status}` };
             }
         }
     };
 
+    PaperChat.LLMService.registerProvider(PaperChat.GeminiService);
+
     Zotero.debug("Paper Chat: Gemini Service module loaded");
 })();
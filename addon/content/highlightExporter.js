@@ -0,0 +1,166 @@
+/* global Zotero, PaperChat */
+/* Highlight Exporter - Turn passages quoted in answers into Zotero highlights */
+
+(function () {
+    // "quoted text" (p. 5) or “quoted text” (page 5), for answers without [[p. N: "..."]] citations
+    const QUOTE_WITH_PAGE = /["“]([^"”\n]{12,})["”]\s*\((?:pp?\.|pages?)\s*([^\s,;)]+)[^)]*\)/g;
+    // Shorter quotes match too many places to say which one was meant
+    const MIN_QUOTE_LENGTH = 12;
+
+    /**
+     * Highlight Exporter - finds quoted passages of an answer in the PDF's
+     * text layer and saves them as highlight annotations
+     */
+    PaperChat.HighlightExporter = {
+        /**
+         * Find the quoted passages in an answer, with the answer's line about each one
+         * @param {string} answer - Assistant answer (Markdown)
+         * @returns {Array<Object>} - Array of { quote, pageLabel, comment }
+         */
+        findQuotes(answer) {
+            const quotes = [];
+            let previous = "";
+
+            for (const line of answer.split("\n")) {
+                const found = [];
+                const rest = PaperChat.MarkdownRenderer.replaceCitations(line, (pageLabel, quote) => {
+                    found.push({ quote, pageLabel });
+                    return "";
+                });
+                for (const match of rest.matchAll(QUOTE_WITH_PAGE)) {
+                    found.push({ quote: match[1].trim(), pageLabel: match[2] });
+                }
+
+                if (found.length > 0) {
+                    // A bare quote is explained by the line before it
+                    const comment = this.toComment(line) || this.toComment(previous);
+                    for (const { quote, pageLabel } of found) {
+                        const tooShort = PaperChat.PDFExtractor.normalizeForMatch(quote).length < MIN_QUOTE_LENGTH;
+                        if (!tooShort && !quotes.some(q => q.quote === quote)) {
+                            quotes.push({ quote, pageLabel, comment });
+                        }
+                    }
+                }
+                if (line.trim()) previous = line;
+            }
+
+            return quotes;
+        },
+
+        /**
+         * Turn an answer line into plain text for an annotation comment, without its quotes
+         */
+        toComment(line) {
+            const text = PaperChat.MarkdownRenderer.replaceCitations(line, () => "")
+                .replace(QUOTE_WITH_PAGE, "")
+                .replace(/^\s*(?:[-*+>]|\d+[.)]|#+)\s+/, "")
+                .replace(/\*\*|__|`/g, "")
+                .replace(/\s+([.,;:])/g, "$1")
+                .replace(/\s+/g, " ")
+                .trim();
+            return /[\p{L}\p{N}]/u.test(text) ? text : "";
+        },
+
+        /**
+         * Find quotes in the text layers of the chat's PDFs, cited page first
+         * @param {Array} quotes - From findQuotes
+         * @param {Array<Zotero.Item>} attachments - PDF attachments
+         * @returns {Promise<Array<Object>>} - The quotes, with { attachment, pageIndex, pageLabel, text,
+         *   position, sortIndex, duplicate } when found, or { error } when not
+         */
+        async locateQuotes(quotes, attachments) {
+            const results = quotes.map(quote => ({ ...quote, error: "not found in the PDF text" }));
+
+            for (const attachment of attachments) {
+                const pending = results.filter(result => result.error);
+                if (pending.length === 0) break;
+
+                const pdfDoc = await PaperChat.PDFExtractor.openWithPDFJS(attachment);
+                if (!pdfDoc) continue;
+
+                try {
+                    const labels = await PaperChat.PDFExtractor.readPageLabels(pdfDoc);
+                    const existing = attachment.getAnnotations()
+                        .filter(a => a.annotationType === "highlight")
+                        .map(a => a.annotationText);
+
+                    // Text layers are read once, on first use
+                    const layers = new Map();
+                    const getLayer = async (pageIndex) => {
+                        if (!layers.has(pageIndex)) {
+                            layers.set(pageIndex, await PaperChat.PDFExtractor.readTextLayer(pdfDoc, pageIndex));
+                        }
+                        return layers.get(pageIndex);
+                    };
+
+                    for (const result of pending) {
+                        const cited = PaperChat.PDFNavigator.getPageIndex(labels, result.pageLabel);
+                        const order = [...labels.keys()].sort((a, b) => (b === cited) - (a === cited));
+
+                        for (const pageIndex of order) {
+                            const match = PaperChat.PDFExtractor.locateQuote(await getLayer(pageIndex), result.quote);
+                            if (!match) continue;
+
+                            Object.assign(result, {
+                                attachment,
+                                pageIndex,
+                                pageLabel: labels[pageIndex],
+                                text: match.text,
+                                position: { pageIndex, rects: match.rects },
+                                sortIndex: this.getSortIndex(pageIndex, match.offset, match.top),
+                                duplicate: existing.includes(match.text),
+                                error: null
+                            });
+                            break;
+                        }
+                    }
+                } finally {
+                    pdfDoc.destroy();
+                }
+            }
+
+            return results;
+        },
+
+        /**
+         * Sort key Zotero uses to order annotations: page, character offset, distance from the top
+         */
+        getSortIndex(pageIndex, offset, top) {
+            return [
+                String(pageIndex).padStart(5, "0"),
+                String(Math.min(offset, 999999)).padStart(6, "0"),
+                String(Math.floor(top)).padStart(5, "0")
+            ].join("|");
+        },
+
+        /**
+         * Save located quotes as highlight annotations
+         * @param {Array} highlights - Found results from locateQuotes
+         * @param {string} color - Highlight color, e.g. "#ffd400"
+         * @returns {Promise<Array<Zotero.Item>>} - The new annotations
+         */
+        async createHighlights(highlights, color) {
+            const annotations = [];
+
+            for (const highlight of highlights) {
+                const annotation = new Zotero.Item("annotation");
+                annotation.libraryID = highlight.attachment.libraryID;
+                annotation.parentID = highlight.attachment.id;
+                annotation.annotationType = "highlight";
+                annotation.annotationText = highlight.text;
+                annotation.annotationComment = highlight.comment || "";
+                annotation.annotationColor = color;
+                annotation.annotationPageLabel = highlight.pageLabel;
+                annotation.annotationSortIndex = highlight.sortIndex;
+                annotation.annotationPosition = JSON.stringify(highlight.position);
+                await annotation.saveTx();
+                annotations.push(annotation);
+            }
+
+            Zotero.debug(`Paper Chat: Created ${annotations.length} highlights`);
+            return annotations;
+        }
+    };
+
+    Zotero.debug("Paper Chat: Highlight Exporter module loaded");
+})();
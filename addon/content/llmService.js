@@ -0,0 +1,485 @@
+/* global Zotero, PaperChat, fetch */
+/* LLM Service - Provider-agnostic entry point for Paper Chat */
+
+(function () {
+    // Rate limits and transient server errors are worth retrying
+    const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+    // Longest we'll sleep before a retry; longer waits move on to the next model
+    const MAX_RETRY_DELAY_MS = 60000;
+    const BASE_RETRY_DELAY_MS = 1000;
+    // Texts per embedding request
+    const EMBEDDING_BATCH_SIZE = 100;
+
+    /**
+     * LLM Service - dispatches chat requests to the configured provider.
+     *
+     * Every provider registered here is a plain object implementing:
+     *   id, label, requiresAPIKey, defaultBaseURL
+     *   buildRequest(params)  -> { url, headers, body }
+     *   parseResponse(data)   -> { text, usage }
+     *   parseStreamEvent(data) -> { text, usage } for one streamed event; the usage fields of a
+     *     response's events are merged, later over earlier, so they may come in parts
+     *   getTokenCounts(usage) -> { inputTokens, outputTokens, cachedTokens } from a usage, or null
+     *   streamFormat          -> "sse" (default) or "ndjson"
+     *   getErrorMessage(data) -> string (optional)
+     *   getRetryDelay(data)   -> ms suggested by an error body (optional)
+     *   testConnection(settings) -> Promise<{ success, error }>
+     *   buildEmbeddingRequest({ apiKey, baseURL, model, texts }) -> { url, headers, body } (optional)
+     *   parseEmbeddingResponse(data) -> Array of vectors (optional)
+     *   nativePDF             -> "upload" or "inline" if PDF files can be sent (optional, see NativePDF)
+     *   pdfPageTokens         -> input tokens per page of a PDF file, for budget estimates (optional)
+     *   uploadFile({ apiKey, baseURL, bytes, mimeType, displayName, signal }) -> Promise<handle> (for "upload")
+     *   getFile({ apiKey, baseURL, name }) -> Promise<handle|null> (for "upload")
+     *     where handle is { name, uri, mimeType, state, expiresAt }
+     *   contextCache          -> true if the paper context can be cached (optional, see ContextCache)
+     *   createCache(params + { ttlSeconds, signal }) -> Promise<cache> (for contextCache)
+     *   updateCache({ apiKey, baseURL, name, ttlSeconds }) -> Promise<cache|null> (for contextCache)
+     *   deleteCache({ apiKey, baseURL, name }) -> Promise (for contextCache)
+     *     where cache is { name, expiresAt }, and createCache's also has the usage of storing it
+     *     ({ inputTokens, outputTokens, cachedTokens }), recorded with the request's model
+     *
+     * params: { apiKey, baseURL, model, systemPrompt, pdfContent, history, message, images, documents,
+     *   stream, responseSchema, quoteCitations, cacheContext, cachedContent }
+     *   responseSchema is a JSON Schema the answer must follow (JSON text), via the provider's
+     *   structured output feature; it is never combined with stream.
+     *   quoteCitations asks for [[p. N: "..."]] quotes in the answer (see buildContextText)
+     *   documents are PDF files from NativePDF, sent with the paper context; pdfContent then
+     *   only lists their titles
+     *   pdfContent null (and systemPrompt null) makes a standalone request: no system prompt
+     *   or paper context, only history and message, e.g. to transcribe a page image
+     *   cachedContent is the name of a cache holding the context, which is then left out
+     */
+    PaperChat.LLMService = {
+        providers: {},
+
+        /**
+         * Register a provider implementation
+         * @param {Object} provider - Provider object (see interface above)
+         */
+        registerProvider(provider) {
+            this.providers[provider.id] = provider;
+            Zotero.debug(`Paper Chat: Registered provider ${provider.id}`);
+        },
+
+        /**
+         * Get a provider by ID, defaulting to the one selected in preferences
+         * @param {string} providerID - Optional provider ID
+         * @returns {Object} - Provider implementation
+         */
+        getProvider(providerID = PaperChat.getProviderID()) {
+            const provider = this.providers[providerID];
+            if (!provider) {
+                throw new Error(`Unknown provider: ${providerID}`);
+            }
+            return provider;
+        },
+
+        /**
+         * List registered providers
+         * @returns {Array<Object>} - Array of { id, label }
+         */
+        listProviders() {
+            return Object.values(this.providers).map(p => ({ id: p.id, label: p.label }));
+        },
+
+        /**
+         * Send a message to the active provider
+         * @param {string} message - User message
+         * @param {string|null} pdfContent - PDF text content for context, or null for a standalone
+         *   request without the system prompt and paper context
+         * @param {Array} conversationHistory - Previous messages
+         * @param {Array} images - Optional array of { mimeType, data } base64 images, sent with the message
+         * @param {Object} options - Optional { onChunk(fullText), onStatus(text), signal, responseSchema, model, documents,
+         *   cacheContext, quoteCitations } to stream the response, report retries and fallbacks, abort the request,
+         *   get JSON following a schema back instead of prose, use another model than the selected one,
+         *   send PDF files (from NativePDF) as the papers, keep the context in a provider cache for
+         *   follow-up questions on the same papers, and turn quote citations off (false) for text that
+         *   isn't shown as a chat answer
+         * @returns {Promise<Object>} - Response with text, references, usage ({ inputTokens, outputTokens,
+         *   cachedTokens, estimated }), the model that answered, whether the context came from a cache,
+         *   and the cache's name (cacheName), to release it once the chat moves on
+         */
+        async sendMessage(message, pdfContent, conversationHistory = [], images = [], options = {}) {
+            const provider = this.getProvider();
+            const apiKey = PaperChat.getAPIKey(provider.id);
+            if (provider.requiresAPIKey && !apiKey) {
+                throw new Error(`API key not configured. Please set your ${provider.label} API key in preferences.`);
+            }
+
+            const stream = !!options.onChunk && !options.responseSchema &&
+                PaperChat.isStreamingEnabled() && !!provider.parseStreamEvent;
+            const params = {
+                apiKey,
+                baseURL: PaperChat.getBaseURL(provider.id),
+                systemPrompt: pdfContent === null ? null : PaperChat.getSystemPrompt(),
+                pdfContent,
+                history: conversationHistory,
+                message,
+                images,
+                documents: options.documents || [],
+                stream,
+                responseSchema: options.responseSchema || null,
+                // Structured answers are data for tables and fields, where citation markers don't belong
+                quoteCitations: PaperChat.isQuoteCitationEnabled() && options.quoteCitations !== false && !options.responseSchema,
+                cacheContext: !!options.cacheContext && !options.responseSchema
+            };
+
+            try {
+                const { response, model, cachedContent } = await this.fetchWithRetry(provider, params, options);
+
+                const result = stream
+                    ? await this.readStream(response, provider, options.onChunk)
+                    : provider.parseResponse(await response.json());
+
+                // Servers that report no usage (some OpenAI-compatible ones) are counted by estimate
+                const usage = provider.getTokenCounts?.(result.usage) || this.estimateUsage(params, result.text);
+                await PaperChat.UsageTracker?.record(provider.id, model, usage);
+
+                return {
+                    text: result.text,
+                    references: this.extractPageReferences(result.text),
+                    usage,
+                    model,
+                    cached: !!cachedContent,
+                    cacheName: cachedContent || null
+                };
+            } catch (e) {
+                if (e.name === "AbortError") {
+                    Zotero.debug("Paper Chat: Request cancelled");
+                } else {
+                    Zotero.logError(`Paper Chat: ${provider.label} API error: ${e}`);
+                }
+                throw e;
+            }
+        },
+
+        /**
+         * Estimate the tokens of a request and its answer from their length
+         * @returns {Object} - { inputTokens, outputTokens, cachedTokens, estimated: true }
+         */
+        estimateUsage(params, text) {
+            const extractor = PaperChat.PDFExtractor;
+            const history = params.history.map(m => m.content).join("\n");
+            return {
+                inputTokens: extractor.estimateTokens(`${params.systemPrompt || ""}\n${params.pdfContent || ""}\n${history}\n${params.message}`),
+                outputTokens: extractor.estimateTokens(text),
+                cachedTokens: 0,
+                estimated: true
+            };
+        },
+
+        /**
+         * POST the request, retrying rate limits and server errors with exponential backoff.
+         * Once a model's retries run out, falls back through the configured model list.
+         * @param {Object} provider - Provider implementation
+         * @param {Object} params - buildRequest params without the model
+         * @param {Object} options - { onStatus, signal, model }
+         * @returns {Promise<Object>} - { response, model, cachedContent } for the first successful response
+         */
+        async fetchWithRetry(provider, params, options = {}) {
+            const models = this.getModelChain(provider.id, options.model);
+            const maxRetries = PaperChat.getMaxRetries();
+            const notify = options.onStatus || (() => {});
+            let lastError;
+
+            for (let m = 0; m < models.length; m++) {
+                const model = models[m];
+                const hasFallback = m < models.length - 1;
+
+                if (m > 0) {
+                    notify(`Falling back to ${model}...`);
+                    Zotero.debug(`Paper Chat: Falling back to ${model}`);
+                }
+
+                // Each model has its own cache of the context
+                let cachedContent = await PaperChat.ContextCache?.get(provider, { ...params, model }, options) || null;
+
+                for (let attempt = 0; attempt <= maxRetries; attempt++) {
+                    const request = provider.buildRequest({ ...params, model, cachedContent });
+                    let response = null;
+                    let errorData = {};
+
+                    try {
+                        response = await fetch(request.url, {
+                            method: "POST",
+                            headers: request.headers,
+                            body: JSON.stringify(request.body),
+                            signal: options.signal,
+                        });
+                    } catch (e) {
+                        if (e.name === "AbortError") throw e;
+                        // Network failure - treat like a transient server error
+                        lastError = e;
+                    }
+
+                    if (response) {
+                        if (response.ok) {
+                            return { response, model, cachedContent };
+                        }
+
+                        errorData = await response.json().catch(() => ({}));
+                        const detail = provider.getErrorMessage?.(errorData) || response.statusText;
+                        lastError = new Error(`API error: ${response.status} - ${detail}`);
+                        lastError.status = response.status;
+
+                        // A cache deleted or expired early on the provider: send the context itself
+                        if (cachedContent && [400, 403, 404].includes(response.status)) {
+                            Zotero.debug(`Paper Chat: Context cache ${cachedContent} was rejected (${response.status})`);
+                            PaperChat.ContextCache.forget(cachedContent);
+                            cachedContent = null;
+                            attempt--;
+                            continue;
+                        }
+
+                        if (!RETRYABLE_STATUS.includes(response.status)) {
+                            throw lastError;
+                        }
+                    }
+
+                    if (attempt === maxRetries) break;
+
+                    const delay = response
+                        ? this.getRetryDelay(response, errorData, provider, attempt)
+                        : this.getBackoffDelay(attempt);
+
+                    // A long server-requested wait is better spent on the next model
+                    if (delay > MAX_RETRY_DELAY_MS && hasFallback) break;
+
+                    const waitMs = Math.min(delay, MAX_RETRY_DELAY_MS);
+                    const reason = response ? `HTTP ${response.status}` : "Network error";
+                    notify(`${reason} from ${model}, retrying in ${Math.ceil(waitMs / 1000)}s (${attempt + 1}/${maxRetries})...`);
+                    Zotero.debug(`Paper Chat: ${reason} from ${model}, retry ${attempt + 1} in ${waitMs}ms`);
+
+                    await this.sleep(waitMs, options.signal);
+                }
+            }
+
+            throw lastError;
+        },
+
+        /**
+         * Models to try in order: the selected (or requested) model, then the user's fallback list
+         */
+        getModelChain(providerID, model = null) {
+            model = model || PaperChat.getModel(providerID);
+            const fallbacks = PaperChat.getFallbackModels(providerID).filter(m => m !== model);
+            return [model, ...fallbacks];
+        },
+
+        /**
+         * Delay before the next retry, preferring what the server asked for:
+         * the Retry-After header, then provider-specific error details, then backoff.
+         * @returns {number} - Delay in milliseconds
+         */
+        getRetryDelay(response, errorData, provider, attempt) {
+            const retryAfter = response.headers?.get("Retry-After");
+            if (retryAfter) {
+                const seconds = Number(retryAfter);
+                if (!isNaN(seconds)) {
+                    return seconds * 1000;
+                }
+                const date = Date.parse(retryAfter);
+                if (!isNaN(date)) {
+                    return Math.max(0, date - Date.now());
+                }
+            }
+
+            const suggested = provider.getRetryDelay?.(errorData);
+            if (suggested) {
+                return suggested;
+            }
+
+            return this.getBackoffDelay(attempt);
+        },
+
+        /**
+         * Exponential backoff with a little jitter
+         */
+        getBackoffDelay(attempt) {
+            return BASE_RETRY_DELAY_MS * Math.pow(2, attempt) + Math.floor(Math.random() * 250);
+        },
+
+        /**
+         * Wait for a delay, rejecting early if the request is aborted
+         */
+        sleep(ms, signal) {
+            return new Promise((resolve, reject) => {
+                if (signal?.aborted) {
+                    reject(signal.reason);
+                    return;
+                }
+
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                };
+                const timer = setTimeout(() => {
+                    signal?.removeEventListener("abort", onAbort);
+                    resolve();
+                }, ms);
+
+                signal?.addEventListener("abort", onAbort, { once: true });
+            });
+        },
+
+        /**
+         * Read a streamed response, reporting the accumulated text after each chunk.
+         * If the stream drops midway, the error carries the partial text in `partialText`.
+         * @returns {Promise<Object>} - { text, usage }
+         */
+        async readStream(response, provider, onChunk) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = "";
+            let text = "";
+            let usage;
+
+            const handleLine = (line) => {
+                line = line.trim();
+                if (provider.streamFormat !== "ndjson") {
+                    // SSE: only "data:" lines carry payloads
+                    if (!line.startsWith("data:")) return;
+                    line = line.substring(5).trim();
+                }
+                if (!line || line === "[DONE]") return;
+
+                // Usage is kept per request here: providers are shared by concurrent requests
+                const event = provider.parseStreamEvent(JSON.parse(line));
+                if (event.usage) {
+                    usage = { ...usage, ...event.usage };
+                }
+                if (event.text) {
+                    text += event.text;
+                    onChunk(text);
+                }
+            };
+
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+
+                    buffer += decoder.decode(value, { stream: true });
+                    const lines = buffer.split("\n");
+                    buffer = lines.pop();
+                    for (const line of lines) {
+                        handleLine(line);
+                    }
+                }
+                handleLine(buffer);
+            } catch (e) {
+                e.partialText = text;
+                throw e;
+            }
+
+            return { text, usage };
+        },
+
+        /**
+         * Embed texts with the active provider's embedding endpoint
+         * @param {Array<string>} texts - Texts to embed
+         * @param {Object} options - Optional { signal }
+         * @returns {Promise<Array<Array<number>>>} - One vector per text
+         */
+        async embed(texts, options = {}) {
+            const provider = this.getProvider();
+            const model = PaperChat.getEmbeddingModel(provider.id);
+            if (!provider.buildEmbeddingRequest || !model) {
+                throw new Error(`No embedding model available for ${provider.label}`);
+            }
+
+            const params = {
+                apiKey: PaperChat.getAPIKey(provider.id),
+                baseURL: PaperChat.getBaseURL(provider.id),
+                model
+            };
+            const vectors = [];
+
+            for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+                const request = provider.buildEmbeddingRequest({ ...params, texts: texts.slice(i, i + EMBEDDING_BATCH_SIZE) });
+                const response = await fetch(request.url, {
+                    method: "POST",
+                    headers: request.headers,
+                    body: JSON.stringify(request.body),
+                    signal: options.signal,
+                });
+
+                if (!response.ok) {
+                    const errorData = await response.json().catch(() => ({}));
+                    const detail = provider.getErrorMessage?.(errorData) || response.statusText;
+                    const error = new Error(`Embedding error: ${response.status} - ${detail}`);
+                    error.status = response.status;
+                    throw error;
+                }
+
+                vectors.push(...provider.parseEmbeddingResponse(await response.json()));
+            }
+
+            return vectors;
+        },
+
+        /**
+         * Build the paper context text shared by all providers
+         * (with documents, pdfContent is the list of attached papers)
+         */
+        buildContextText(systemPrompt, pdfContent, documents = [], quoteCitations = false) {
+            let text = documents.length > 0
+                ? `${systemPrompt}\n\n--- ATTACHED PAPERS ---\n${pdfContent}\n--- END ATTACHED PAPERS ---\n\nThe papers listed above are attached as PDF files, in the same order. Please analyze them and respond to user queries. When referencing specific parts, cite the page number printed on the page, like "On page X..." or "(page X)".`
+                : `${systemPrompt}\n\n--- PAPER CONTENT ---\n${pdfContent}\n--- END PAPER CONTENT ---\n\nPlease analyze this paper and respond to user queries. Each page of the paper starts with a "[Page N]" marker. When referencing specific parts, cite the page number from those markers, like "On page X..." or "(page X)".`;
+            if (quoteCitations) {
+                text += ` Support each key claim with a short verbatim quote from the paper, written exactly as [[p. N: "quoted words"]] where N is the page the words appear on. Copy the words exactly; use "..." to skip words inside a quote.`;
+            }
+            return text;
+        },
+
+        /**
+         * Extract page references from response text
+         * @returns {Array<string>} - Cited page labels ("iv", "5", "1127"), roman numerals first
+         */
+        extractPageReferences(text) {
+            const references = [];
+            const navigator = PaperChat.PDFNavigator;
+
+            // Match patterns like "page 5", "(p. 1127)", "pages 5-7", "page iv"
+            for (const ref of navigator.findPageReferences(text)) {
+                for (const label of navigator.expandPageRange(ref.start, ref.end)) {
+                    if (!references.includes(label)) {
+                        references.push(label);
+                    }
+                }
+            }
+
+            const isNumber = label => /^\d+$/.test(label);
+            return references.sort((a, b) => {
+                if (isNumber(a) !== isNumber(b)) return isNumber(a) ? 1 : -1;
+                return isNumber(a)
+                    ? parseInt(a, 10) - parseInt(b, 10)
+                    : navigator.romanToNumber(a) - navigator.romanToNumber(b);
+            });
+        },
+
+        /**
+         * Test connection for a provider
+         * @param {string} providerID - Optional provider ID
+         * @param {Object} settings - Optional { apiKey, baseURL } overrides
+         */
+        async testConnection(providerID, settings = {}) {
+            const provider = this.getProvider(providerID);
+            const apiKey = settings.apiKey ?? PaperChat.getAPIKey(provider.id);
+            if (provider.requiresAPIKey && !apiKey) {
+                return { success: false, error: "No API key configured" };
+            }
+
+            try {
+                return await provider.testConnection({
+                    apiKey,
+                    baseURL: settings.baseURL || PaperChat.getBaseURL(provider.id)
+                });
+            } catch (e) {
+                return { success: false, error: e.message };
+            }
+        }
+    };
+
+    Zotero.debug("Paper Chat: LLM Service module loaded");
+})();
@@ -15,6 +15,9 @@ Zotero.PaperChat = {
     currentItemID: null,
     currentAttachmentID: null,
 
+    // Collection context menu listeners, per window
+    collectionMenuListeners: new WeakMap(),
+
     /**
      * Initialize the plugin
      */
@@ -30,6 +33,16 @@ Zotero.PaperChat = {
 
         // Load sub-modules
         this.loadModules();
+
+        // Open the conversation database (migrates old pref-based histories); init() logs failures,
+        // and features that need the database try again when they use it
+        this.ConversationStore?.init().catch(e => Zotero.debug(`Paper Chat: Conversation database unavailable at startup: ${e}`));
+
+        // Pick up the batch queue where the last session left it
+        this.BatchQueue?.init().catch(e => Zotero.logError(`Paper Chat: Failed to start the batch queue: ${e}`));
+
+        // Explain / Ask / Translate in the reader's selection popup and annotation menu
+        this.ReaderIntegration?.register();
     },
 
     /**
@@ -37,11 +50,28 @@ Zotero.PaperChat = {
      */
     loadModules() {
         const modules = [
+            "llmService.js",
             "geminiService.js",
+            "openaiService.js",
+            "anthropicService.js",
+            "ollamaService.js",
             "pdfExtractor.js",
+            "extractionCache.js",
             "pdfNavigator.js",
+            "nativePDF.js",
+            "contextCache.js",
+            "retrievalIndex.js",
+            "markdownRenderer.js",
+            "comparisonTable.js",
+            "metadataExtractor.js",
+            "promptLibrary.js",
             "chatPanel.js",
-            "conversationStore.js"
+            "conversationStore.js",
+            "noteExporter.js",
+            "highlightExporter.js",
+            "batchQueue.js",
+            "usageTracker.js",
+            "readerIntegration.js"
         ];
 
         for (const module of modules) {
@@ -186,6 +216,34 @@ Zotero.PaperChat = {
         link.type = "text/css";
         link.href = this.rootURI + "content/chatPanel.css";
         doc.documentElement.appendChild(link);
+
+        // "Chat with Collection" in the collection context menu
+        const collectionMenu = doc.getElementById("zotero-collectionmenu");
+        if (collectionMenu) {
+            const menuitem = doc.createXULElement("menuitem");
+            menuitem.id = "paper-chat-collection-menuitem";
+            menuitem.addEventListener("command", () => this.ChatPanel?.chatWithSelectedCollection());
+            collectionMenu.appendChild(menuitem);
+
+            // Only for collections and saved searches
+            const onShowing = () => {
+                const row = win.ZoteroPane.getCollectionTreeRow();
+                menuitem.hidden = !(row?.isCollection() || row?.isSearch());
+                menuitem.setAttribute("label", row?.isSearch() ? "Chat with Saved Search" : "Chat with Collection");
+            };
+            collectionMenu.addEventListener("popupshowing", onShowing);
+            this.collectionMenuListeners.set(win, onShowing);
+        }
+
+        // "Process with Paper Chat…" in the item context menu
+        const itemMenu = doc.getElementById("zotero-itemmenu");
+        if (itemMenu) {
+            const menuitem = doc.createXULElement("menuitem");
+            menuitem.id = "paper-chat-batch-menuitem";
+            menuitem.setAttribute("label", "Process with Paper Chat…");
+            menuitem.addEventListener("command", () => this.ChatPanel?.queueBatch());
+            itemMenu.appendChild(menuitem);
+        }
     },
 
     /**
@@ -197,6 +255,17 @@ Zotero.PaperChat = {
         // Remove CSS
         const style = doc.getElementById("paper-chat-styles");
         style?.remove();
+
+        // Remove the collection menu entry
+        doc.getElementById("paper-chat-collection-menuitem")?.remove();
+        const onShowing = this.collectionMenuListeners.get(win);
+        if (onShowing) {
+            doc.getElementById("zotero-collectionmenu")?.removeEventListener("popupshowing", onShowing);
+            this.collectionMenuListeners.delete(win);
+        }
+
+        // Remove the item menu entry
+        doc.getElementById("paper-chat-batch-menuitem")?.remove();
     },
 
     /**
@@ -217,13 +286,33 @@ Zotero.PaperChat = {
                 },
                 bodyXHTML: `
             <div id="paper-chat-container" xmlns="http://www.w3.org/1999/xhtml">
+            <div id="paper-chat-thread-bar">
+              <select id="paper-chat-thread-select" title="Conversation thread"></select>
+              <button data-thread-action="new" title="New thread">➕</button>
+              <button data-thread-action="rename" title="Rename thread">✏️</button>
+              <button data-thread-action="delete" title="Delete thread">🗑️</button>
+              <span id="paper-chat-thread-usage" style="display: none;"></span>
+            </div>
+            <div id="paper-chat-collection-bar" style="display: none;">
+              <span id="paper-chat-collection-name"></span>
+              <button id="paper-chat-collection-close" title="Back to the selected papers">✕</button>
+            </div>
+            <div id="paper-chat-batch-bar" style="display: none;">
+              <span id="paper-chat-batch-status"></span>
+              <button id="paper-chat-batch-toggle">⏸ Pause</button>
+              <button id="paper-chat-batch-retry" title="Queue the failed items again">↻ Retry failed</button>
+              <button id="paper-chat-batch-clear" title="Clear finished tasks (and the queued ones while paused)">✕</button>
+            </div>
             <div id="paper-chat-messages"></div>
             <div id="paper-chat-quick-actions">
-              <button data-action="summarize">📝 Summarize</button>
-              <button data-action="findings">🔍 Key Findings</button>
-              <button data-action="methodology">🔬 Methodology</button>
+              <span id="paper-chat-prompt-buttons"></span>
               <button data-action="add-paper">➕ Add Paper</button>
+              <button data-action="metadata" title="Extract abstract, keywords, DOI, authors... into the item's fields">🏷️ Metadata</button>
+              <button data-action="compare" title="Compare the papers side by side in a table">📊 Compare</button>
+              <button data-action="collection" title="Chat with every paper in the selected collection or saved search">📚 Collection</button>
+              <button data-action="batch" title="Run a prompt over every selected item in the background">🗂️ Batch</button>
               <button data-action="model">🤖 Model</button>
+              <button data-action="save-note">📒 Save Chat</button>
               <button data-action="clear" style="color: #d9534f; border-color: #d9534f;">🗑️ Clear Chat</button>
             </div>
             <div id="paper-chat-search-container" style="display: none; padding: 10px; border-bottom: 1px solid #ddd; background: #f9f9f9;">
@@ -234,9 +323,22 @@ Zotero.PaperChat = {
                 <div style="font-weight: bold; margin-bottom: 5px;">Select AI Model:</div>
                 <div id="paper-chat-model-list" style="display: flex; flex-direction: column; gap: 5px;"></div>
             </div>
+            <div id="paper-chat-compare-container" style="display: none; padding: 10px; border-bottom: 1px solid #ddd; background: #f9f9f9;">
+                <div style="font-weight: bold; margin-bottom: 5px;">Compare papers on:</div>
+                <div id="paper-chat-compare-dimensions"></div>
+                <input type="text" id="paper-chat-compare-custom" placeholder="Other dimensions, comma-separated" style="width: 100%; margin: 5px 0;" />
+                <button id="paper-chat-compare-run">📊 Compare</button>
+            </div>
+            <div id="paper-chat-selection" style="display: none;">
+              <span id="paper-chat-selection-text"></span>
+              <button id="paper-chat-selection-clear" title="Don't include this selection">✕</button>
+            </div>
+            <div id="paper-chat-images" style="display: none;"></div>
             <div id="paper-chat-input-container">
+              <button id="paper-chat-attach-page" title="Attach the page open in the reader as an image">📷</button>
               <textarea id="paper-chat-input" placeholder="Ask about this paper..."></textarea>
               <button id="paper-chat-send">Send</button>
+              <button id="paper-chat-stop" style="display: none;">⏹ Stop</button>
             </div>
             <div id="paper-chat-status"></div>
           </div>
@@ -333,25 +435,189 @@ Zotero.PaperChat = {
         );
     },
 
+    /**
+     * Get the active LLM provider ID
+     */
+    getProviderID() {
+        return Zotero.Prefs.get("extensions.zotero.paperchat.provider", true) || "gemini";
+    },
+
+    /**
+     * Get a per-provider preference
+     */
+    getProviderPref(providerID, name) {
+        return Zotero.Prefs.get(`extensions.zotero.paperchat.providers.${providerID}.${name}`, true);
+    },
+
+    /**
+     * Set a per-provider preference
+     */
+    setProviderPref(providerID, name, value) {
+        Zotero.Prefs.set(`extensions.zotero.paperchat.providers.${providerID}.${name}`, value, true);
+    },
+
     /**
      * Get API key from preferences
+     * The Gemini key keeps its original pref name for existing installs.
      */
-    getAPIKey() {
-        return Zotero.Prefs.get("extensions.zotero.paperchat.apiKey", true);
+    getAPIKey(providerID = this.getProviderID()) {
+        if (providerID === "gemini") {
+            return Zotero.Prefs.get("extensions.zotero.paperchat.apiKey", true);
+        }
+        return this.getProviderPref(providerID, "apiKey");
     },
 
     /**
      * Set API key in preferences
      */
-    setAPIKey(key) {
-        Zotero.Prefs.set("extensions.zotero.paperchat.apiKey", key, true);
+    setAPIKey(key, providerID = this.getProviderID()) {
+        if (providerID === "gemini") {
+            Zotero.Prefs.set("extensions.zotero.paperchat.apiKey", key, true);
+            return;
+        }
+        this.setProviderPref(providerID, "apiKey", key);
+    },
+
+    /**
+     * Get the base URL for a provider
+     */
+    getBaseURL(providerID = this.getProviderID()) {
+        return this.getProviderPref(providerID, "baseURL") ||
+            this.LLMService?.providers[providerID]?.defaultBaseURL || "";
+    },
+
+    /**
+     * Get the configured model list for a provider
+     */
+    getModels(providerID = this.getProviderID()) {
+        const models = this.getProviderPref(providerID, "models") || "";
+        return models.split(",").map(m => m.trim()).filter(Boolean);
     },
 
     /**
      * Get model name
+     * Like the API key, the Gemini model keeps its original pref name.
+     */
+    getModel(providerID = this.getProviderID()) {
+        const model = providerID === "gemini"
+            ? Zotero.Prefs.get("extensions.zotero.paperchat.model", true)
+            : this.getProviderPref(providerID, "model");
+        return model || this.getModels(providerID)[0] || "";
+    },
+
+    /**
+     * Set model name
+     */
+    setModel(model, providerID = this.getProviderID()) {
+        if (providerID === "gemini") {
+            Zotero.Prefs.set("extensions.zotero.paperchat.model", model, true);
+            return;
+        }
+        this.setProviderPref(providerID, "model", model);
+    },
+
+    /**
+     * Get the ordered list of models to fall back to when a request keeps failing
+     */
+    getFallbackModels(providerID = this.getProviderID()) {
+        const models = this.getProviderPref(providerID, "fallbackModels") || "";
+        return models.split(",").map(m => m.trim()).filter(Boolean);
+    },
+
+    /**
+     * Get the embedding model used for passage retrieval
      */
-    getModel() {
-        return Zotero.Prefs.get("extensions.zotero.paperchat.model", true) || "gemini-2.0-flash";
+    getEmbeddingModel(providerID = this.getProviderID()) {
+        return this.getProviderPref(providerID, "embeddingModel") || "";
+    },
+
+    /**
+     * Get how papers are sent with questions: "text" (extracted) or "native" (the PDF file,
+     * for providers that accept it)
+     */
+    getPDFMode() {
+        return Zotero.Prefs.get("extensions.zotero.paperchat.pdfMode", true) === "native" ? "native" : "text";
+    },
+
+    /**
+     * Check whether scanned PDFs without a text layer are transcribed by the model
+     */
+    isOCREnabled() {
+        return Zotero.Prefs.get("extensions.zotero.paperchat.ocr", true) !== false;
+    },
+
+    /**
+     * Get the passage retrieval mode for long papers: "bm25" or "embeddings"
+     */
+    getRetrievalMode() {
+        return Zotero.Prefs.get("extensions.zotero.paperchat.retrieval", true) || "bm25";
+    },
+
+    /**
+     * Get the token budget for paper content; longer papers are sent as relevant passages
+     */
+    getContextTokenLimit() {
+        const limit = Zotero.Prefs.get("extensions.zotero.paperchat.contextTokens", true);
+        return Number.isInteger(limit) && limit > 0 ? limit : 100000;
+    },
+
+    /**
+     * Get the number of retries per model for rate limits and server errors
+     */
+    getMaxRetries() {
+        const retries = Zotero.Prefs.get("extensions.zotero.paperchat.maxRetries", true);
+        return Number.isInteger(retries) && retries >= 0 ? retries : 3;
+    },
+
+    /**
+     * Whether responses should be streamed token-by-token
+     */
+    isStreamingEnabled() {
+        return Zotero.Prefs.get("extensions.zotero.paperchat.streaming", true) !== false;
+    },
+
+    /**
+     * Whether the model is asked to back claims with verbatim quotes
+     */
+    isQuoteCitationEnabled() {
+        return Zotero.Prefs.get("extensions.zotero.paperchat.quoteCitations", true) !== false;
+    },
+
+    /**
+     * Whether LaTeX math in answers should be rendered as MathML
+     */
+    isMathRenderingEnabled() {
+        return Zotero.Prefs.get("extensions.zotero.paperchat.renderMath", true) !== false;
+    },
+
+    /**
+     * Get the dimensions last used for a comparison
+     * @returns {Array<string>} - Dimension labels
+     */
+    getCompareDimensions() {
+        const value = Zotero.Prefs.get("extensions.zotero.paperchat.compareDimensions", true);
+        const labels = (value || "").split(",").map(label => label.trim()).filter(Boolean);
+        return labels.length ? labels : this.ComparisonTable.DEFAULT_DIMENSIONS;
+    },
+
+    /**
+     * Get the color of highlights created from answers
+     */
+    getHighlightColor() {
+        return Zotero.Prefs.get("extensions.zotero.paperchat.highlightColor", true) || "#ffd400";
+    },
+
+    /**
+     * Get the language reader selections are translated into (defaults to Zotero's UI language)
+     */
+    getTranslationLanguage() {
+        const language = Zotero.Prefs.get("extensions.zotero.paperchat.translationLanguage", true);
+        if (language) return language;
+        try {
+            return new Intl.DisplayNames(["en"], { type: "language" }).of(Zotero.locale) || "English";
+        } catch (e) {
+            return "English";
+        }
     },
 
     /**
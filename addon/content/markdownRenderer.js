@@ -0,0 +1,636 @@
+/* global Zotero, PaperChat */
+/* Markdown Renderer - Render assistant messages as sanitized Markdown */
+
+(function () {
+    const MATHML_NS = "http://www.w3.org/1998/Math/MathML";
+
+    // Quote citation the model is asked for: [[p. 5: "verbatim words"]]
+    const CITATION_SOURCE = /\[\[\s*(?:pp?\.|pages?)\s*([^\s:\]]+)\s*:\s*["“]([^"”\]]+)["”]\s*\]\]/.source;
+
+    // Inline syntax, in priority order. Each alternative has its own capture groups (see renderInline).
+    const INLINE_PATTERN = new RegExp([
+        /(`+)([\s\S]+?)\1/.source,                                 // 1-2: code
+        /\$\$([\s\S]+?)\$\$/.source,                                // 3: display math
+        /\\\(([\s\S]+?)\\\)/.source,                                // 4: \( inline math \)
+        /\$(?=\S)([^$\n]+?)(?<=\S)\$(?!\d)/.source,                  // 5: $inline math$
+        /\*\*([\s\S]+?)\*\*/.source,                                // 6: bold
+        /__([\s\S]+?)__/.source,                                    // 7: bold
+        /~~([\s\S]+?)~~/.source,                                    // 8: strikethrough
+        /\*(?=\S)([^*\n]+?)(?<=\S)\*/.source,                       // 9: italic
+        /(?<!\w)_(?=\S)([^_\n]+?)(?<=\S)_(?!\w)/.source,             // 10: italic
+        /\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/.source,      // 11-12: link
+        CITATION_SOURCE                                             // 13-14: quote citation
+    ].join("|"), "g");
+
+    const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+    const TABLE_DIVIDER_PATTERN = /^(?=.*\|)\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    // LaTeX commands rendered as a single MathML symbol
+    const TEX_SYMBOLS = {
+        alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ϵ", varepsilon: "ε", zeta: "ζ",
+        eta: "η", theta: "θ", vartheta: "ϑ", iota: "ι", kappa: "κ", lambda: "λ", mu: "μ", nu: "ν",
+        xi: "ξ", pi: "π", rho: "ρ", sigma: "σ", tau: "τ", upsilon: "υ", phi: "ϕ", varphi: "φ",
+        chi: "χ", psi: "ψ", omega: "ω", Gamma: "Γ", Delta: "Δ", Theta: "Θ", Lambda: "Λ", Xi: "Ξ",
+        Pi: "Π", Sigma: "Σ", Upsilon: "Υ", Phi: "Φ", Psi: "Ψ", Omega: "Ω",
+        infty: "∞", partial: "∂", nabla: "∇", ell: "ℓ", hbar: "ℏ", emptyset: "∅"
+    };
+    const TEX_OPERATORS = {
+        leq: "≤", le: "≤", geq: "≥", ge: "≥", neq: "≠", ne: "≠", approx: "≈", sim: "∼", simeq: "≃",
+        equiv: "≡", propto: "∝", pm: "±", mp: "∓", times: "×", div: "÷", cdot: "⋅", cdots: "⋯",
+        ldots: "…", dots: "…", in: "∈", notin: "∉", subset: "⊂", subseteq: "⊆", supset: "⊃",
+        cup: "∪", cap: "∩", forall: "∀", exists: "∃", neg: "¬", land: "∧", lor: "∨",
+        to: "→", rightarrow: "→", leftarrow: "←", Rightarrow: "⇒", Leftarrow: "⇐",
+        leftrightarrow: "↔", iff: "⇔", mapsto: "↦", mid: "∣", circ: "∘", ast: "∗",
+        sum: "∑", prod: "∏", int: "∫", oint: "∮", lim: "lim", max: "max", min: "min",
+        sup: "sup", inf: "inf", log: "log", ln: "ln", exp: "exp", sin: "sin", cos: "cos",
+        tan: "tan", arg: "arg", det: "det", langle: "⟨", rangle: "⟩", lvert: "|", rvert: "|",
+        lbrace: "{", rbrace: "}", quad: " ", qquad: "  ", ",": " ", ";": " ", "!": ""
+    };
+    // Operators whose limits go above/below in display mode
+    const TEX_LARGE_OPERATORS = ["sum", "prod", "lim", "max", "min", "sup", "inf"];
+    const TEX_ACCENTS = { hat: "^", bar: "¯", overline: "¯", tilde: "~", vec: "→", dot: "˙", ddot: "¨" };
+    const TEX_FONTS = { mathbf: "bold", mathit: "italic", mathrm: "normal", mathsf: "sans-serif", mathcal: "script", mathbb: "double-struck", boldsymbol: "bold-italic" };
+
+    /**
+     * Markdown Renderer - builds DOM nodes directly (never innerHTML), so only
+     * whitelisted elements and text nodes ever reach the chat panel
+     */
+    PaperChat.MarkdownRenderer = {
+        /**
+         * Render Markdown text into a fragment
+         * @param {string} text - Markdown text
+         * @param {Document} doc - Document for element creation
+         * @param {Object} options - { attachmentID } to link page references, { math } to render LaTeX,
+         *   { renderCitation(pageLabel, quote, doc) } to render quote citations as chips
+         * @returns {DocumentFragment} - Rendered content
+         */
+        render(text, doc, options = {}) {
+            const fragment = doc.createDocumentFragment();
+            this.renderBlocks((text || "").replace(/\r\n?/g, "\n").split("\n"), fragment, doc, options);
+            return fragment;
+        },
+
+        /**
+         * Render block-level Markdown (headings, lists, tables, code, quotes, paragraphs)
+         */
+        renderBlocks(lines, parent, doc, options) {
+            let i = 0;
+
+            while (i < lines.length) {
+                const line = lines[i];
+
+                // Blank line
+                if (!line.trim()) {
+                    i++;
+                    continue;
+                }
+
+                // Fenced code block
+                const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)/);
+                if (fence) {
+                    const code = [];
+                    i++;
+                    while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                        code.push(lines[i]);
+                        i++;
+                    }
+                    i++;
+                    const pre = doc.createElement("pre");
+                    const codeEl = doc.createElement("code");
+                    if (fence[2]) codeEl.dataset.language = fence[2];
+                    codeEl.textContent = code.join("\n");
+                    pre.appendChild(codeEl);
+                    parent.appendChild(pre);
+                    continue;
+                }
+
+                // Display math block: $$ ... $$ or \[ ... \]
+                const mathOpen = line.trim().match(/^(\$\$|\\\[)/);
+                if (mathOpen && options.math) {
+                    const close = mathOpen[1] === "$$" ? "$$" : "\\]";
+                    let tex = line.trim().substring(2);
+                    if (tex.endsWith(close)) {
+                        tex = tex.slice(0, -2);
+                        i++;
+                    } else {
+                        i++;
+                        while (i < lines.length && !lines[i].trim().endsWith(close)) {
+                            tex += "\n" + lines[i];
+                            i++;
+                        }
+                        if (i < lines.length) {
+                            tex += "\n" + lines[i].trim().slice(0, -2);
+                            i++;
+                        }
+                    }
+                    const div = doc.createElement("div");
+                    div.className = "paper-chat-math-block";
+                    div.appendChild(this.renderMath(tex, true, doc));
+                    parent.appendChild(div);
+                    continue;
+                }
+
+                // Heading
+                const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+                if (heading) {
+                    const h = doc.createElement(`h${heading[1].length}`);
+                    this.renderInline(heading[2], h, doc, options);
+                    parent.appendChild(h);
+                    i++;
+                    continue;
+                }
+
+                // Horizontal rule
+                if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                    parent.appendChild(doc.createElement("hr"));
+                    i++;
+                    continue;
+                }
+
+                // Table: header row followed by a divider row
+                if (line.includes("|") && i + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[i + 1])) {
+                    const rows = [line];
+                    const divider = lines[i + 1];
+                    i += 2;
+                    while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+                        rows.push(lines[i]);
+                        i++;
+                    }
+                    parent.appendChild(this.renderTable(rows, divider, doc, options));
+                    continue;
+                }
+
+                // Blockquote
+                if (/^\s*>/.test(line)) {
+                    const quoted = [];
+                    while (i < lines.length && /^\s*>/.test(lines[i])) {
+                        quoted.push(lines[i].replace(/^\s*>\s?/, ""));
+                        i++;
+                    }
+                    const blockquote = doc.createElement("blockquote");
+                    this.renderBlocks(quoted, blockquote, doc, options);
+                    parent.appendChild(blockquote);
+                    continue;
+                }
+
+                // List
+                if (LIST_ITEM_PATTERN.test(line)) {
+                    const listLines = [];
+                    const [, firstIndent, firstMarker] = line.match(LIST_ITEM_PATTERN);
+                    while (i < lines.length) {
+                        const current = lines[i];
+                        const item = current.match(LIST_ITEM_PATTERN);
+                        if (item) {
+                            // Switching between bullets and numbers at the top level starts a new list
+                            if (item[1].length <= firstIndent.length && /\d/.test(item[2]) !== /\d/.test(firstMarker)) {
+                                break;
+                            }
+                            listLines.push(current);
+                        } else if (current.trim() && /^\s+/.test(current) && listLines.length > 0) {
+                            // Indented continuation of the previous item
+                            listLines[listLines.length - 1] += " " + current.trim();
+                        } else if (!current.trim() && i + 1 < lines.length && LIST_ITEM_PATTERN.test(lines[i + 1])) {
+                            // Blank line between items
+                        } else {
+                            break;
+                        }
+                        i++;
+                    }
+                    parent.appendChild(this.renderList(listLines, doc, options));
+                    continue;
+                }
+
+                // Paragraph: runs until a blank line or the start of another block
+                const paraLines = [line];
+                i++;
+                while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+                    paraLines.push(lines[i]);
+                    i++;
+                }
+                const p = doc.createElement("p");
+                paraLines.forEach((paraLine, index) => {
+                    if (index > 0) p.appendChild(doc.createElement("br"));
+                    this.renderInline(paraLine.trim(), p, doc, options);
+                });
+                parent.appendChild(p);
+            }
+        },
+
+        /**
+         * Whether line i starts a non-paragraph block
+         */
+        startsBlock(lines, i) {
+            const line = lines[i];
+            return /^\s*(```|~~~|#{1,6}\s|>)/.test(line) ||
+                LIST_ITEM_PATTERN.test(line) ||
+                /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+                (line.includes("|") && i + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[i + 1]));
+        },
+
+        /**
+         * Render list lines, nesting by indentation
+         */
+        renderList(listLines, doc, options) {
+            const root = { indent: -1, element: null, lastItem: null };
+            const stack = [root];
+
+            for (const line of listLines) {
+                const [, indentStr, marker, content] = line.match(LIST_ITEM_PATTERN);
+                const indent = indentStr.replace(/\t/g, "    ").length;
+                const ordered = /\d/.test(marker);
+
+                // Close deeper lists
+                while (stack.length > 1 && indent < stack[stack.length - 1].indent) {
+                    stack.pop();
+                }
+
+                let level = stack[stack.length - 1];
+                if (level === root || indent > level.indent) {
+                    // Start a new (possibly nested) list
+                    const list = doc.createElement(ordered ? "ol" : "ul");
+                    if (ordered && parseInt(marker, 10) !== 1) {
+                        list.start = parseInt(marker, 10);
+                    }
+                    if (level.lastItem) {
+                        level.lastItem.appendChild(list);
+                    } else if (level === root) {
+                        root.element = list;
+                    }
+                    level = { indent, element: list, lastItem: null };
+                    stack.push(level);
+                }
+
+                const li = doc.createElement("li");
+                // Task list checkboxes
+                const task = content.match(/^\[([ xX])\]\s+(.*)$/);
+                if (task) {
+                    li.appendChild(doc.createTextNode(task[1] === " " ? "☐ " : "☑ "));
+                    this.renderInline(task[2], li, doc, options);
+                } else {
+                    this.renderInline(content, li, doc, options);
+                }
+                level.element.appendChild(li);
+                level.lastItem = li;
+            }
+
+            return root.element;
+        },
+
+        /**
+         * Render a GFM table
+         */
+        renderTable(rows, divider, doc, options) {
+            const splitRow = (row) => {
+                let trimmed = row.trim();
+                if (trimmed.startsWith("|")) trimmed = trimmed.substring(1);
+                if (trimmed.endsWith("|") && !trimmed.endsWith("\\|")) trimmed = trimmed.slice(0, -1);
+                return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, "|"));
+            };
+
+            const alignments = splitRow(divider).map((cell) => {
+                if (cell.startsWith(":") && cell.endsWith(":")) return "center";
+                if (cell.endsWith(":")) return "right";
+                return "";
+            });
+
+            const wrapper = doc.createElement("div");
+            wrapper.className = "paper-chat-table-wrapper";
+            const table = doc.createElement("table");
+            const thead = doc.createElement("thead");
+            const tbody = doc.createElement("tbody");
+
+            rows.forEach((row, rowIndex) => {
+                const tr = doc.createElement("tr");
+                splitRow(row).forEach((cell, cellIndex) => {
+                    const td = doc.createElement(rowIndex === 0 ? "th" : "td");
+                    if (alignments[cellIndex]) td.style.textAlign = alignments[cellIndex];
+                    this.renderInline(cell, td, doc, options);
+                    tr.appendChild(td);
+                });
+                (rowIndex === 0 ? thead : tbody).appendChild(tr);
+            });
+
+            table.appendChild(thead);
+            table.appendChild(tbody);
+            wrapper.appendChild(table);
+            return wrapper;
+        },
+
+        /**
+         * Render inline Markdown into a parent element
+         */
+        renderInline(text, parent, doc, options) {
+            const pattern = new RegExp(INLINE_PATTERN.source, "g");
+            let lastIndex = 0;
+            let match;
+
+            while ((match = pattern.exec(text)) !== null) {
+                if (match.index > lastIndex) {
+                    this.appendText(text.substring(lastIndex, match.index), parent, doc, options);
+                }
+                lastIndex = match.index + match[0].length;
+
+                if (match[2] !== undefined) {
+                    const code = doc.createElement("code");
+                    code.textContent = match[2].trim();
+                    parent.appendChild(code);
+                } else if (match[3] !== undefined || match[4] !== undefined || match[5] !== undefined) {
+                    const tex = match[3] ?? match[4] ?? match[5];
+                    if (options.math) {
+                        parent.appendChild(this.renderMath(tex, match[3] !== undefined, doc));
+                    } else {
+                        parent.appendChild(doc.createTextNode(match[0]));
+                    }
+                } else if (match[6] !== undefined || match[7] !== undefined) {
+                    const strong = doc.createElement("strong");
+                    this.renderInline(match[6] ?? match[7], strong, doc, options);
+                    parent.appendChild(strong);
+                } else if (match[8] !== undefined) {
+                    const del = doc.createElement("del");
+                    this.renderInline(match[8], del, doc, options);
+                    parent.appendChild(del);
+                } else if (match[9] !== undefined || match[10] !== undefined) {
+                    const em = doc.createElement("em");
+                    this.renderInline(match[9] ?? match[10], em, doc, options);
+                    parent.appendChild(em);
+                } else if (match[11] !== undefined) {
+                    parent.appendChild(this.renderLink(match[11], match[12], doc, options));
+                } else if (match[13] !== undefined) {
+                    if (options.renderCitation) {
+                        parent.appendChild(options.renderCitation(match[13], match[14].trim(), doc));
+                    } else {
+                        this.appendText(this.formatCitation(match[13], match[14].trim()), parent, doc, options);
+                    }
+                }
+            }
+
+            if (lastIndex < text.length) {
+                this.appendText(text.substring(lastIndex), parent, doc, options);
+            }
+        },
+
+        /**
+         * Plain-text form of a quote citation
+         */
+        formatCitation(pageLabel, quote) {
+            return `“${quote}” (p. ${pageLabel})`;
+        },
+
+        /**
+         * Replace quote citation markers in text
+         * @param {string} text - Text with [[p. N: "quote"]] markers
+         * @param {Function} replacer - Optional (pageLabel, quote) => string; defaults to plain text
+         * @returns {string} - Text with the markers replaced
+         */
+        replaceCitations(text, replacer = (pageLabel, quote) => this.formatCitation(pageLabel, quote)) {
+            return text.replace(new RegExp(CITATION_SOURCE, "g"), (match, pageLabel, quote) => replacer(pageLabel, quote.trim()));
+        },
+
+        /**
+         * Append plain text, turning page references into clickable spans
+         */
+        appendText(text, parent, doc, options) {
+            if (options.attachmentID && PaperChat.PDFNavigator) {
+                parent.appendChild(PaperChat.PDFNavigator.parseAndLinkReferences(text, options.attachmentID, doc));
+            } else {
+                parent.appendChild(doc.createTextNode(text));
+            }
+        },
+
+        /**
+         * Render a link; only http(s) URLs become clickable and they open externally
+         */
+        renderLink(label, url, doc, options) {
+            if (!/^https?:\/\//i.test(url)) {
+                const span = doc.createElement("span");
+                this.renderInline(label, span, doc, options);
+                return span;
+            }
+
+            const a = doc.createElement("a");
+            a.href = url;
+            a.title = url;
+            a.className = "paper-chat-link";
+            a.addEventListener("click", (e) => {
+                e.preventDefault();
+                Zotero.launchURL(url);
+            });
+            this.renderInline(label, a, doc, options);
+            return a;
+        },
+
+        /**
+         * Render LaTeX as MathML, falling back to the raw source
+         * @param {string} tex - LaTeX source
+         * @param {boolean} display - Display (block) mode
+         * @param {Document} doc - Document for element creation
+         * @returns {Element} - <math> element, or a code span on failure
+         */
+        renderMath(tex, display, doc) {
+            try {
+                const math = doc.createElementNS(MATHML_NS, "math");
+                if (display) math.setAttribute("display", "block");
+                const parser = { tokens: this.tokenizeTeX(tex), pos: 0, doc, display };
+                math.appendChild(this.parseTeXRow(parser, null));
+                return math;
+            } catch (e) {
+                Zotero.debug(`Paper Chat: Could not render math "${tex}": ${e}`);
+                const code = doc.createElement("code");
+                code.className = "paper-chat-math-source";
+                code.textContent = tex;
+                return code;
+            }
+        },
+
+        /**
+         * Split LaTeX into tokens: commands, braces, scripts, numbers and single characters
+         */
+        tokenizeTeX(tex) {
+            const tokens = [];
+            const pattern = /\\[a-zA-Z]+|\\.|\d+(?:\.\d+)?|\s+|[\s\S]/g;
+            let match;
+            while ((match = pattern.exec(tex)) !== null) {
+                if (!/^\s+$/.test(match[0])) tokens.push(match[0]);
+            }
+            return tokens;
+        },
+
+        /**
+         * Parse tokens until the closing token (or end) into an <mrow>
+         */
+        parseTeXRow(parser, closing) {
+            const row = this.mathElement(parser, "mrow");
+            while (parser.pos < parser.tokens.length) {
+                const token = parser.tokens[parser.pos];
+                if (token === closing) {
+                    parser.pos++;
+                    return row;
+                }
+                if (token === "}" || token === "\\right") {
+                    if (closing === null) {
+                        parser.pos++;
+                        continue;
+                    }
+                    throw new Error(`Unexpected ${token}`);
+                }
+                row.appendChild(this.parseTeXScripts(parser));
+            }
+            if (closing !== null && closing !== "\\right") {
+                throw new Error(`Missing ${closing}`);
+            }
+            return row;
+        },
+
+        /**
+         * Parse an atom with optional ^ and _ scripts
+         */
+        parseTeXScripts(parser) {
+            const startToken = parser.tokens[parser.pos];
+            let base = this.parseTeXAtom(parser);
+            let sub = null;
+            let sup = null;
+
+            while (parser.tokens[parser.pos] === "_" || parser.tokens[parser.pos] === "^") {
+                const op = parser.tokens[parser.pos++];
+                const script = this.parseTeXAtom(parser);
+                if (op === "_") sub = script;
+                else sup = script;
+            }
+
+            if (!sub && !sup) return base;
+
+            const large = parser.display && TEX_LARGE_OPERATORS.includes(startToken.substring(1));
+            let tag;
+            if (sub && sup) tag = large ? "munderover" : "msubsup";
+            else if (sub) tag = large ? "munder" : "msub";
+            else tag = large ? "mover" : "msup";
+
+            const el = this.mathElement(parser, tag);
+            el.appendChild(base);
+            if (sub) el.appendChild(sub);
+            if (sup) el.appendChild(sup);
+            return el;
+        },
+
+        /**
+         * Parse a single atom: group, command, number, letter or operator
+         */
+        parseTeXAtom(parser) {
+            const token = parser.tokens[parser.pos++];
+            if (token === undefined) {
+                throw new Error("Unexpected end of expression");
+            }
+
+            if (token === "{") {
+                return this.parseTeXRow(parser, "}");
+            }
+
+            if (token.startsWith("\\") && token.length > 1) {
+                return this.parseTeXCommand(token.substring(1), parser);
+            }
+
+            if (/^\d/.test(token)) {
+                return this.mathElement(parser, "mn", token);
+            }
+            if (/^[a-zA-Z]$/.test(token)) {
+                return this.mathElement(parser, "mi", token);
+            }
+            return this.mathElement(parser, "mo", token === "'" ? "′" : token);
+        },
+
+        /**
+         * Parse a LaTeX command
+         */
+        parseTeXCommand(name, parser) {
+            if (name === "frac" || name === "dfrac" || name === "tfrac") {
+                const frac = this.mathElement(parser, "mfrac");
+                frac.appendChild(this.parseTeXAtom(parser));
+                frac.appendChild(this.parseTeXAtom(parser));
+                return frac;
+            }
+
+            if (name === "sqrt") {
+                if (parser.tokens[parser.pos] === "[") {
+                    parser.pos++;
+                    const index = this.parseTeXRow(parser, "]");
+                    const root = this.mathElement(parser, "mroot");
+                    root.appendChild(this.parseTeXAtom(parser));
+                    root.appendChild(index);
+                    return root;
+                }
+                const sqrt = this.mathElement(parser, "msqrt");
+                sqrt.appendChild(this.parseTeXAtom(parser));
+                return sqrt;
+            }
+
+            if (name === "text" || name === "textrm" || name === "textit" || name === "textbf" || name === "operatorname") {
+                // Read the raw group contents as text
+                let text = "";
+                if (parser.tokens[parser.pos] === "{") {
+                    parser.pos++;
+                    let depth = 1;
+                    while (parser.pos < parser.tokens.length) {
+                        const token = parser.tokens[parser.pos++];
+                        if (token === "{") depth++;
+                        if (token === "}" && --depth === 0) break;
+                        text += (text && /^\w/.test(token) && /\w$/.test(text) ? " " : "") + token.replace(/^\\/, "");
+                    }
+                } else {
+                    text = parser.tokens[parser.pos++] || "";
+                }
+                return this.mathElement(parser, name === "operatorname" ? "mi" : "mtext", text);
+            }
+
+            if (TEX_FONTS[name]) {
+                const el = this.parseTeXAtom(parser);
+                const styled = this.mathElement(parser, "mstyle");
+                styled.setAttribute("mathvariant", TEX_FONTS[name]);
+                el.querySelectorAll?.("mi").forEach(mi => mi.setAttribute("mathvariant", TEX_FONTS[name]));
+                if (el.localName === "mi") el.setAttribute("mathvariant", TEX_FONTS[name]);
+                styled.appendChild(el);
+                return styled;
+            }
+
+            if (TEX_ACCENTS[name]) {
+                const over = this.mathElement(parser, "mover");
+                over.setAttribute("accent", "true");
+                over.appendChild(this.parseTeXAtom(parser));
+                over.appendChild(this.mathElement(parser, "mo", TEX_ACCENTS[name]));
+                return over;
+            }
+
+            if (name === "left" || name === "right" || name === "big" || name === "Big" || name === "bigg" || name === "Bigg") {
+                // Sizing is left to the renderer; keep the delimiter itself
+                const delimiter = parser.tokens[parser.pos++] || "";
+                if (delimiter === ".") return this.mathElement(parser, "mrow");
+                const symbol = delimiter.startsWith("\\") ? (TEX_OPERATORS[delimiter.substring(1)] ?? delimiter.substring(1)) : delimiter;
+                return this.mathElement(parser, "mo", symbol);
+            }
+
+            if (TEX_SYMBOLS[name]) {
+                return this.mathElement(parser, "mi", TEX_SYMBOLS[name]);
+            }
+            if (TEX_OPERATORS[name] !== undefined) {
+                return this.mathElement(parser, "mo", TEX_OPERATORS[name]);
+            }
+            if (name.length === 1) {
+                // Escaped character, e.g. \% or \{
+                return this.mathElement(parser, "mo", name);
+            }
+
+            // Unknown command: show its name
+            return this.mathElement(parser, "mi", name);
+        },
+
+        /**
+         * Create a MathML element with optional text
+         */
+        mathElement(parser, tag, text) {
+            const el = parser.doc.createElementNS(MATHML_NS, tag);
+            if (text !== undefined) el.textContent = text;
+            return el;
+        }
+    };
+
+    Zotero.debug("Paper Chat: Markdown Renderer module loaded");
+})();
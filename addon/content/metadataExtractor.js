@@ -0,0 +1,225 @@
+/* global Zotero, PaperChat */
+/* Metadata Extractor - Fill Zotero fields and tags from the paper text */
+
+(function () {
+    const STUDY_TYPES = [
+        "experimental", "quasi-experimental", "observational", "survey", "case study", "qualitative",
+        "mixed methods", "simulation", "theoretical", "review", "meta-analysis", "other"
+    ];
+    const NOT_STATED = "not stated";
+
+    // What is extracted and where it goes. Fields the item type doesn't have go to Extra.
+    const TARGETS = [
+        { id: "abstract", label: "Abstract", field: "abstractNote" },
+        { id: "keywords", label: "Keywords", tags: true },
+        { id: "doi", label: "DOI", field: "DOI" },
+        { id: "venue", label: "Venue", field: "publicationTitle" },
+        { id: "year", label: "Year", field: "date" },
+        { id: "authors", label: "Authors", creators: true },
+        { id: "research_method", label: "Research method", extra: "Research Method" },
+        { id: "study_type", label: "Study type", extra: "Study Type" }
+    ];
+
+    const PROMPT = "Extract the metadata of this paper from its text. Use an empty string (or an empty list) " +
+        "for anything the paper doesn't state; never guess a DOI. Keywords are the author keywords if the paper " +
+        "lists them, otherwise up to 8 key terms. The venue is the journal, conference or book it was published in. " +
+        "The research method is a short phrase (e.g. \"randomized controlled trial\", \"semi-structured interviews\"); " +
+        "use \"not stated\" as the study type when it is unclear.";
+
+    /**
+     * Metadata Extractor - asks the model for a fixed metadata schema and
+     * turns the answer into reviewable changes to a Zotero item
+     */
+    PaperChat.MetadataExtractor = {
+        /**
+         * JSON Schema of the extracted metadata
+         */
+        buildSchema() {
+            const text = { type: "string" };
+            return {
+                type: "object",
+                properties: {
+                    abstract: text,
+                    keywords: { type: "array", items: text },
+                    doi: text,
+                    venue: text,
+                    year: { type: "string", description: "Four-digit publication year" },
+                    authors: {
+                        type: "array",
+                        items: {
+                            type: "object",
+                            properties: { firstName: text, lastName: text },
+                            required: ["firstName", "lastName"],
+                            additionalProperties: false
+                        }
+                    },
+                    research_method: text,
+                    study_type: { type: "string", enum: [...STUDY_TYPES, NOT_STATED] }
+                },
+                required: TARGETS.map(t => t.id),
+                additionalProperties: false
+            };
+        },
+
+        /**
+         * Ask the model for a paper's metadata
+         * @param {Object} paper - Extracted paper ({ title, text })
+         * @param {Object} options - { onStatus, signal }
+         * @returns {Promise<Object>} - Metadata following buildSchema()
+         */
+        async extract(paper, options = {}) {
+            if (paper.error) {
+                throw new Error(`Could not read "${paper.title}"`);
+            }
+
+            const text = PaperChat.PDFExtractor.truncateToTokenLimit(paper.text || "", PaperChat.getContextTokenLimit());
+            const response = await PaperChat.LLMService.sendMessage(
+                PROMPT,
+                PaperChat.RetrievalIndex.formatPaper(paper, text),
+                [],
+                [],
+                { ...options, responseSchema: this.buildSchema() }
+            );
+
+            try {
+                return JSON.parse(response.text.trim().replace(/^```(?:json)?\s*|\s*```$/g, ""));
+            } catch (e) {
+                throw new Error("The model did not return valid metadata");
+            }
+        },
+
+        /**
+         * Compare extracted metadata with an item
+         * @param {Zotero.Item} item - Regular item
+         * @param {Object} metadata - From extract()
+         * @returns {Array<Object>} - Array of { id, label, destination, current, proposed, value, changed },
+         *   one per extracted value
+         */
+        buildChanges(item, metadata) {
+            const changes = [];
+
+            for (const target of TARGETS) {
+                const value = metadata[target.id];
+                if (!value || value === NOT_STATED || (Array.isArray(value) && value.length === 0)) continue;
+
+                let change;
+                if (target.tags) {
+                    const existing = item.getTags().map(t => t.tag.toLowerCase());
+                    const added = [...new Set(value.map(v => v.trim()).filter(Boolean))]
+                        .filter(tag => !existing.includes(tag.toLowerCase()));
+                    change = {
+                        destination: "Tags",
+                        current: item.getTags().map(t => t.tag).join(", "),
+                        proposed: added.join(", "),
+                        value: added,
+                        changed: added.length > 0
+                    };
+                } else if (target.creators) {
+                    const authors = value.filter(a => a.lastName || a.firstName);
+                    const format = list => list.map(a => `${a.firstName} ${a.lastName}`.trim()).join("; ");
+                    const current = format(item.getCreators().filter(c => this.isAuthor(c)));
+                    const proposed = format(authors);
+                    change = { destination: "Authors", current, proposed, value: authors, changed: current !== proposed };
+                } else {
+                    const field = target.field ? this.getFieldName(item, target.field) : null;
+                    const current = field ? item.getField(field) : this.getExtraLine(item, target.extra || target.label);
+                    const proposed = String(value).trim();
+                    // A date already in that year doesn't need changing
+                    const same = target.id === "year"
+                        ? String(Zotero.Date.strToDate(current).year || "") === proposed
+                        : current.trim().toLowerCase() === proposed.toLowerCase();
+                    change = {
+                        destination: field ? Zotero.ItemFields.getLocalizedString(field) : "Extra",
+                        field,
+                        extra: field ? null : (target.extra || target.label),
+                        current,
+                        proposed,
+                        value: proposed,
+                        changed: !same
+                    };
+                }
+
+                changes.push({ id: target.id, label: target.label, ...change });
+            }
+
+            return changes;
+        },
+
+        /**
+         * Write accepted changes to the item: fields, new tags, authors (other creators are kept),
+         * and "Key: value" lines in Extra
+         * @param {Zotero.Item} item - Regular item
+         * @param {Array<Object>} changes - Accepted entries from buildChanges
+         */
+        async applyChanges(item, changes) {
+            for (const change of changes) {
+                if (change.id === "keywords") {
+                    for (const tag of change.value) {
+                        item.addTag(tag);
+                    }
+                } else if (change.id === "authors") {
+                    const others = item.getCreators().filter(c => !this.isAuthor(c));
+                    const authors = change.value.map(a => ({
+                        firstName: a.firstName,
+                        lastName: a.lastName,
+                        creatorType: "author"
+                    }));
+                    item.setCreators([...authors, ...others]);
+                } else if (change.field) {
+                    item.setField(change.field, change.value);
+                } else {
+                    this.setExtraLine(item, change.extra, change.value);
+                }
+            }
+
+            await item.saveTx();
+            Zotero.debug(`Paper Chat: Updated ${changes.length} metadata values of item ${item.id}`);
+        },
+
+        /**
+         * The item type's field for a base field (e.g. proceedingsTitle for publicationTitle),
+         * or null if the type has no such field
+         */
+        getFieldName(item, baseField) {
+            const baseID = Zotero.ItemFields.getID(baseField);
+            const fieldID = Zotero.ItemFields.isValidForType(baseID, item.itemTypeID)
+                ? baseID
+                : Zotero.ItemFields.getFieldIDFromTypeAndBase(item.itemTypeID, baseField);
+            return fieldID ? Zotero.ItemFields.getName(fieldID) : null;
+        },
+
+        /**
+         * Whether a creator is the item type's primary creator (author)
+         */
+        isAuthor(creator) {
+            return Zotero.CreatorTypes.getName(creator.creatorTypeID) === "author";
+        },
+
+        /**
+         * Value of a "Key: value" line in Extra
+         */
+        getExtraLine(item, key) {
+            const line = item.getField("extra").split("\n").find(l => l.toLowerCase().startsWith(`${key.toLowerCase()}:`));
+            return line ? line.substring(key.length + 1).trim() : "";
+        },
+
+        /**
+         * Set a "Key: value" line in Extra, replacing an existing one in place
+         * (other lines, blank ones included, are kept as they are)
+         */
+        setExtraLine(item, key, value) {
+            const extra = item.getField("extra");
+            const lines = extra ? extra.split("\n") : [];
+            const line = `${key}: ${value}`;
+            const index = lines.findIndex(l => l.toLowerCase().startsWith(`${key.toLowerCase()}:`));
+            if (index === -1) {
+                lines.push(line);
+            } else {
+                lines[index] = line;
+            }
+            item.setField("extra", lines.join("\n"));
+        }
+    };
+
+    Zotero.debug("Paper Chat: Metadata Extractor module loaded");
+})();
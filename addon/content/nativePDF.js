@@ -0,0 +1,227 @@
+/* global Zotero, PaperChat, IOUtils, btoa */
+/* Native PDF - Send the PDF files themselves to multimodal models */
+
+(function () {
+    const MIME_TYPE = "application/pdf";
+    // Inline files go in every request body, which providers cap at 20-32 MB
+    const MAX_INLINE_BYTES = 20 * 1024 * 1024;
+    // Gemini's limit for PDFs uploaded through the Files API
+    const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+    // Upload again rather than use a file that expires in the middle of a conversation
+    const EXPIRY_MARGIN_MS = 60 * 60 * 1000;
+    // Base64 of recently sent inline files, so follow-up questions don't re-read them
+    const MAX_INLINE_CACHE = 4;
+    // The uploadedFiles table (see ConversationStore.getDB)
+    const MIGRATIONS = [
+        db => db.queryAsync(`CREATE TABLE IF NOT EXISTS uploadedFiles (
+            attachmentID INTEGER NOT NULL,
+            providerID TEXT NOT NULL,
+            name TEXT NOT NULL,
+            uri TEXT NOT NULL,
+            mimeType TEXT NOT NULL,
+            fileModTime INTEGER NOT NULL,
+            expiresAt INTEGER NOT NULL,
+            PRIMARY KEY (attachmentID, providerID)
+        )`)
+    ];
+    // Budget estimates: a page is read as text and as an image (Anthropic: 1,500-3,000 tokens),
+    // and unindexed files are counted in pages of typical size
+    const DEFAULT_PAGE_TOKENS = 2000;
+    const BYTES_PER_PAGE = 100 * 1024;
+
+    /**
+     * Native PDF - in "native" PDF mode, chat questions carry the PDF files
+     * instead of extracted text, so the model sees equations, tables and layout.
+     *
+     * Providers opt in with nativePDF: "upload" (uploadFile/getFile, handles
+     * cached per attachment in the uploadedFiles table until they expire) or
+     * "inline" (base64 data in each request). Other providers keep using text.
+     *
+     * A document is { title, mimeType, uri } (uploaded) or { title, mimeType, data } (inline).
+     */
+    PaperChat.NativePDF = {
+        verified: new Set(), // "providerID:attachmentID" of cached handles checked this session
+        inlineCache: new Map(), // attachmentID -> { lastModified, data }
+
+        /**
+         * Whether questions to a provider are sent with the PDF files
+         * @param {Object} provider - Provider implementation
+         */
+        isEnabled(provider) {
+            return PaperChat.getPDFMode() === "native" && !!provider.nativePDF;
+        },
+
+        /**
+         * Get the documents to send for attachments, uploading them if needed
+         * @param {Array<Zotero.Item>} attachments - PDF attachments
+         * @param {Object} provider - Provider implementation
+         * @param {Object} options - { onStatus, signal }
+         * @returns {Promise<Array<Object>>} - Documents, in the order of the attachments
+         */
+        async getDocuments(attachments, provider, options = {}) {
+            const documents = [];
+            for (const attachment of attachments) {
+                options.signal?.throwIfAborted();
+                documents.push(provider.nativePDF === "upload"
+                    ? await this.getUploadedFile(attachment, provider, options)
+                    : await this.readInline(attachment));
+            }
+            return documents;
+        },
+
+        /**
+         * Estimate the input tokens of sending attachments as PDF files, from their page count
+         * in Zotero's full-text index or, for files not indexed, their size
+         * @param {Array<Zotero.Item>} attachments - PDF attachments
+         * @param {Object} provider - Provider implementation
+         * @returns {Promise<number>}
+         */
+        async estimateTokens(attachments, provider) {
+            let pages = 0;
+            for (const attachment of attachments) {
+                let count = null;
+                try {
+                    count = (await Zotero.Fulltext.getPages(attachment.id))?.total;
+                } catch (e) {
+                    Zotero.debug(`Paper Chat: No page count for attachment ${attachment.id}: ${e}`);
+                }
+                if (!count) {
+                    const file = await PaperChat.PDFExtractor.getFileInfo(attachment);
+                    count = Math.ceil((file?.size || 0) / BYTES_PER_PAGE);
+                }
+                pages += Math.max(count, 1);
+            }
+            return pages * (provider.pdfPageTokens || DEFAULT_PAGE_TOKENS);
+        },
+
+        /**
+         * The provider's handle for an attachment's file, uploading it when there is
+         * no usable one (none yet, the PDF changed, or it expires soon)
+         */
+        async getUploadedFile(attachment, provider, options) {
+            const title = this.getTitle(attachment);
+            const file = await this.stat(attachment);
+            const key = `${provider.id}:${attachment.id}`;
+            const settings = { apiKey: PaperChat.getAPIKey(provider.id), baseURL: PaperChat.getBaseURL(provider.id) };
+
+            const cached = await this.getCachedHandle(attachment.id, provider.id);
+            if (cached && cached.fileModTime === file.lastModified && cached.expiresAt - Date.now() > EXPIRY_MARGIN_MS) {
+                // Handles from an earlier session may have been deleted, or belong to another API key
+                if (this.verified.has(key) || (await provider.getFile({ ...settings, name: cached.name }))?.state === "ACTIVE") {
+                    this.verified.add(key);
+                    return { title, mimeType: cached.mimeType, uri: cached.uri };
+                }
+            }
+
+            if (file.size > MAX_UPLOAD_BYTES) {
+                throw new Error(`"${title}" is too large to send as a PDF (${this.formatSize(file.size)})`);
+            }
+
+            options.onStatus?.(`Uploading "${title.substring(0, 30)}"...`);
+            const handle = await provider.uploadFile({
+                ...settings,
+                bytes: await IOUtils.read(file.path),
+                mimeType: MIME_TYPE,
+                displayName: title,
+                signal: options.signal
+            });
+            Zotero.debug(`Paper Chat: Uploaded attachment ${attachment.id} as ${handle.name}, expires ${new Date(handle.expiresAt)}`);
+
+            await this.saveHandle(attachment.id, provider.id, file.lastModified, handle);
+            this.verified.add(key);
+            return { title, mimeType: handle.mimeType || MIME_TYPE, uri: handle.uri };
+        },
+
+        /**
+         * An attachment's file as base64, for providers that take PDFs inline
+         */
+        async readInline(attachment) {
+            const title = this.getTitle(attachment);
+            const file = await this.stat(attachment);
+
+            const cached = this.inlineCache.get(attachment.id);
+            if (cached?.lastModified === file.lastModified) {
+                return { title, mimeType: MIME_TYPE, data: cached.data };
+            }
+            if (file.size > MAX_INLINE_BYTES) {
+                throw new Error(`"${title}" is too large to send as a PDF (${this.formatSize(file.size)})`);
+            }
+
+            const data = this.toBase64(await IOUtils.read(file.path));
+            this.inlineCache.delete(attachment.id);
+            this.inlineCache.set(attachment.id, { lastModified: file.lastModified, data });
+            if (this.inlineCache.size > MAX_INLINE_CACHE) {
+                this.inlineCache.delete(this.inlineCache.keys().next().value);
+            }
+            return { title, mimeType: MIME_TYPE, data };
+        },
+
+        /**
+         * Drop cached handles the provider no longer accepts, so they are uploaded again
+         * @param {Array<number>} attachmentIDs - Attachment IDs
+         * @param {string} providerID - Provider ID
+         */
+        async forget(attachmentIDs, providerID) {
+            const db = await this.getDB();
+            for (const attachmentID of attachmentIDs) {
+                this.verified.delete(`${providerID}:${attachmentID}`);
+                await db.queryAsync("DELETE FROM uploadedFiles WHERE attachmentID = ? AND providerID = ?", [attachmentID, providerID]);
+            }
+        },
+
+        async getCachedHandle(attachmentID, providerID) {
+            const db = await this.getDB();
+            const rows = await db.queryAsync(
+                "SELECT name, uri, mimeType, fileModTime, expiresAt FROM uploadedFiles WHERE attachmentID = ? AND providerID = ?",
+                [attachmentID, providerID]
+            );
+            return rows[0] || null;
+        },
+
+        async saveHandle(attachmentID, providerID, fileModTime, handle) {
+            const db = await this.getDB();
+            await db.queryAsync(
+                "INSERT OR REPLACE INTO uploadedFiles (attachmentID, providerID, name, uri, mimeType, fileModTime, expiresAt) "
+                + "VALUES (?, ?, ?, ?, ?, ?, ?)",
+                [attachmentID, providerID, handle.name, handle.uri, handle.mimeType || MIME_TYPE, fileModTime, handle.expiresAt]
+            );
+        },
+
+        /**
+         * Path, size and modification time of an attachment's file
+         */
+        async stat(attachment) {
+            const file = await PaperChat.PDFExtractor.getFileInfo(attachment);
+            if (!file) {
+                throw new Error(`The PDF of "${this.getTitle(attachment)}" is missing`);
+            }
+            return file;
+        },
+
+        getTitle(attachment) {
+            return attachment.parentItem?.getField("title") || attachment.getField("title") || "Untitled";
+        },
+
+        formatSize(bytes) {
+            return `${Math.round(bytes / (1024 * 1024))} MB`;
+        },
+
+        toBase64(bytes) {
+            let binary = "";
+            // Chunked: spreading a whole PDF into fromCharCode overflows the stack
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        },
+
+        /**
+         * The database, with the table of upload handles
+         */
+        getDB() {
+            return PaperChat.ConversationStore.getDB("nativePDF", MIGRATIONS);
+        }
+    };
+
+    Zotero.debug("Paper Chat: Native PDF module loaded");
+})();
@@ -0,0 +1,236 @@
+/* global Zotero, PaperChat */
+/* Note Exporter - Save chat answers as Zotero notes */
+
+(function () {
+    /**
+     * Note Exporter - turns chat messages into Zotero notes
+     */
+    PaperChat.NoteExporter = {
+        /**
+         * Save a single question/answer pair as a note
+         * @param {string} question - The user's question
+         * @param {string} answer - The assistant's answer
+         * @param {Array} items - Chat context items: Array of { item, attachment }
+         * @returns {Promise<Zotero.Item>} - The new note
+         */
+        async saveMessageAsNote(question, answer, items) {
+            const attachment = items.length === 1 ? items[0].attachment : null;
+
+            let html = `<h1>${this.escapeHTML(this.getTitle(items))}</h1>\n`;
+            html += this.formatTurn(question, answer, attachment);
+            html += this.formatFooter();
+
+            return this.createNote(html, items);
+        },
+
+        /**
+         * Save a whole thread as a note
+         * @param {number} threadID - Thread ID
+         * @param {Array} items - Chat context items: Array of { item, attachment }
+         * @returns {Promise<Zotero.Item>} - The new note
+         */
+        async saveConversationAsNote(threadID, items) {
+            const history = await PaperChat.ConversationStore.getHistory(threadID);
+            if (history.length === 0) {
+                throw new Error("Nothing to save yet");
+            }
+
+            const thread = await PaperChat.ConversationStore.getThread(threadID);
+            const attachment = items.length === 1 ? items[0].attachment : null;
+
+            let html = `<h1>${this.escapeHTML(this.getTitle(items))}</h1>\n`;
+            if (thread?.title) {
+                html += `<p><em>Thread: ${this.escapeHTML(thread.title)}</em></p>\n`;
+            }
+
+            // Pair each question with the answer that follows it
+            let question = null;
+            for (const msg of history) {
+                if (msg.role === "user") {
+                    if (question !== null) {
+                        html += this.formatTurn(question, "", attachment);
+                    }
+                    question = msg.content;
+                } else {
+                    html += this.formatTurn(question || "", msg.content, attachment);
+                    question = null;
+                }
+            }
+            if (question !== null) {
+                html += this.formatTurn(question, "", attachment);
+            }
+
+            html += this.formatFooter();
+
+            return this.createNote(html, items);
+        },
+
+        /**
+         * Save a comparison table as a note, with page links in each cell
+         * @param {Object} table - Table from ComparisonTable
+         * @param {Array} items - Chat context items: Array of { item, attachment }
+         * @returns {Promise<Zotero.Item>} - The new note
+         */
+        async saveComparisonAsNote(table, items) {
+            const attachments = new Map(items.filter(x => x.attachment).map(x => [x.attachment.id, x.attachment]));
+
+            let html = `<h1>Paper Chat: Comparison of ${table.rows.length} papers</h1>\n<table>\n<tr><th>Paper</th>`;
+            html += table.dimensions.map(d => `<th>${this.escapeHTML(d.label)}</th>`).join("");
+            html += "</tr>\n";
+
+            for (const row of table.rows) {
+                const attachment = attachments.get(row.attachmentID);
+                html += `<tr><td>${this.escapeHTML(row.title)}</td>`;
+                for (const { id } of table.dimensions) {
+                    const cell = row.cells[id];
+                    const pages = cell.pages.map(pageLabel => this.formatPageLink(pageLabel, attachment));
+                    html += `<td>${this.escapeHTML(cell.value)}${pages.length ? ` (${pages.join(", ")})` : ""}</td>`;
+                }
+                html += "</tr>\n";
+            }
+            html += "</table>\n";
+            html += this.formatFooter();
+
+            return this.createNote(html, items);
+        },
+
+        /**
+         * "p. N", linked to the page when its position in the PDF is known
+         */
+        formatPageLink(pageLabel, attachment) {
+            const text = `p. ${this.escapeHTML(pageLabel)}`;
+            const pageIndex = attachment && PaperChat.PDFNavigator.getCachedPageIndex(attachment.id, pageLabel);
+            if (pageIndex === null || pageIndex === undefined) {
+                return text;
+            }
+            return `<a href="${this.getOpenPDFURI(attachment)}?page=${pageIndex + 1}">${text}</a>`;
+        },
+
+        /**
+         * Create the note: a child note for one paper, or a standalone note
+         * related to every participating item for multi-paper chats
+         */
+        async createNote(html, items) {
+            const parents = items.map(x => x.item).filter(Boolean);
+            if (parents.length === 0) {
+                throw new Error("No item to attach the note to");
+            }
+
+            const note = new Zotero.Item("note");
+            note.libraryID = parents[0].libraryID;
+            note.setNote(html);
+
+            const single = parents.length === 1 && parents[0].isRegularItem();
+            if (single) {
+                note.parentID = parents[0].id;
+                await note.saveTx();
+            } else {
+                await note.saveTx();
+                // Relations are stored on both sides
+                for (const item of parents) {
+                    if (item.libraryID !== note.libraryID) continue;
+                    note.addRelatedItem(item);
+                    item.addRelatedItem(note);
+                    await item.saveTx();
+                }
+                await note.saveTx();
+            }
+
+            Zotero.debug(`Paper Chat: Saved note ${note.id}`);
+            return note;
+        },
+
+        /**
+         * Format one question and answer as HTML
+         */
+        formatTurn(question, answer, attachment) {
+            let html = "";
+            if (question) {
+                html += `<h2>${this.escapeHTML(question)}</h2>\n`;
+            }
+            if (answer) {
+                html += this.textToHTML(answer, attachment);
+            }
+            return html;
+        },
+
+        /**
+         * Footer with the model and export date
+         */
+        formatFooter() {
+            const date = new Date().toLocaleString();
+            return `<p><em>Saved from Paper Chat (${this.escapeHTML(PaperChat.getModel())}) on ${this.escapeHTML(date)}</em></p>`;
+        },
+
+        /**
+         * Heading for the note: the paper title, or the number of papers
+         */
+        getTitle(items) {
+            if (items.length === 1) {
+                return `Paper Chat: ${items[0].item.getField("title") || "Untitled"}`;
+            }
+            return `Paper Chat: ${items.length} papers`;
+        },
+
+        /**
+         * Convert answer text to HTML paragraphs, linking page references
+         * @param {string} text - Plain text
+         * @param {Zotero.Item} attachment - PDF to link pages to (optional)
+         * @returns {string} - HTML
+         */
+        textToHTML(text, attachment) {
+            text = PaperChat.MarkdownRenderer?.replaceCitations(text) ?? text;
+            return text.trim().split(/\n{2,}/).map((para) => {
+                let html = this.escapeHTML(para);
+                if (attachment) {
+                    html = this.linkPageReferences(html, attachment);
+                }
+                html = html.replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>").replace(/\n/g, "<br/>");
+                return `<p>${html}</p>\n`;
+            }).join("");
+        },
+
+        /**
+         * Turn "page N" mentions into zotero://open-pdf links, resolving printed
+         * page labels to physical pages where the labels are known
+         */
+        linkPageReferences(html, attachment) {
+            const base = this.getOpenPDFURI(attachment);
+            const navigator = PaperChat.PDFNavigator;
+            let result = "";
+            let lastIndex = 0;
+
+            for (const ref of navigator.findPageReferences(html)) {
+                const pageIndex = navigator.getCachedPageIndex(attachment.id, ref.start);
+                result += html.substring(lastIndex, ref.index);
+                result += pageIndex === null ? ref.text : `<a href="${base}?page=${pageIndex + 1}">${ref.text}</a>`;
+                lastIndex = ref.index + ref.text.length;
+            }
+
+            return result + html.substring(lastIndex);
+        },
+
+        /**
+         * zotero://open-pdf URI for an attachment in its library
+         */
+        getOpenPDFURI(attachment) {
+            const libraryPrefix = Zotero.API?.getLibraryPrefix
+                ? Zotero.API.getLibraryPrefix(attachment.libraryID)
+                : "library";
+            return `zotero://open-pdf/${libraryPrefix}/items/${attachment.key}`;
+        },
+
+        /**
+         * Escape text for HTML
+         */
+        escapeHTML(text) {
+            return String(text)
+                .replace(/&/g, "&amp;")
+                .replace(/</g, "&lt;")
+                .replace(/>/g, "&gt;")
+                .replace(/"/g, "&quot;");
+        }
+    };
+
+    Zotero.debug("Paper Chat: Note Exporter module loaded");
+})();
@@ -0,0 +1,146 @@
+/* global Zotero, PaperChat, fetch */
+/* Local model Service (Ollama /api/chat) for Paper Chat */
+
+(function () {
+    const OLLAMA_API_BASE = "http://localhost:11434";
+
+    /**
+     * Ollama Service - self-hosted models over a local HTTP endpoint.
+     * llama.cpp's server speaks the OpenAI format; use the OpenAI-compatible
+     * provider with its base URL instead.
+     */
+    PaperChat.OllamaService = {
+        id: "ollama",
+        label: "Local (Ollama)",
+        requiresAPIKey: false,
+        defaultBaseURL: OLLAMA_API_BASE,
+        streamFormat: "ndjson",
+
+        /**
+         * Build the chat request
+         * @param {Object} params - See LLMService provider interface
+         * @returns {Object} - { url, headers, body }
+         */
+        buildRequest({ baseURL, model, systemPrompt, pdfContent, history, message, images, stream, responseSchema, quoteCitations }) {
+            // A standalone request (no pdfContent) has no system message
+            const messages = pdfContent === null ? [] : [
+                {
+                    role: "system",
+                    content: PaperChat.LLMService.buildContextText(systemPrompt, pdfContent, [], quoteCitations)
+                }
+            ];
+
+            // Add conversation history
+            for (const msg of history) {
+                messages.push({
+                    role: msg.role === "user" ? "user" : "assistant",
+                    content: msg.content
+                });
+            }
+
+            // Add current message
+            const userMessage = { role: "user", content: message };
+            if (images && images.length > 0) {
+                userMessage.images = images.map(img => img.data);
+            }
+            messages.push(userMessage);
+
+            const body = {
+                model,
+                messages,
+                stream: !!stream,
+                options: { temperature: 0.7 }
+            };
+            if (responseSchema) {
+                body.format = responseSchema;
+            }
+
+            return {
+                url: `${baseURL || OLLAMA_API_BASE}/api/chat`,
+                headers: { "Content-Type": "application/json" },
+                body
+            };
+        },
+
+        /**
+         * Parse the API response
+         */
+        parseResponse(data) {
+            if (!data.message) {
+                throw new Error("No response generated");
+            }
+
+            return {
+                text: data.message.content || "",
+                usage: {
+                    prompt_tokens: data.prompt_eval_count,
+                    completion_tokens: data.eval_count
+                }
+            };
+        },
+
+        /**
+         * Parse one streamed (NDJSON) line
+         */
+        parseStreamEvent(data) {
+            if (data.error) {
+                throw new Error(data.error);
+            }
+
+            return {
+                text: data.message?.content || "",
+                usage: data.done ? this.parseResponse(data).usage : undefined
+            };
+        },
+
+        /**
+         * Token counts from the usage built by parseResponse
+         */
+        getTokenCounts(usage) {
+            if (!usage?.prompt_tokens) return null;
+            return { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens || 0, cachedTokens: 0 };
+        },
+
+        /**
+         * Extract the error message from an error response body
+         */
+        getErrorMessage(data) {
+            return data.error;
+        },
+
+        /**
+         * Build an /api/embed request
+         */
+        buildEmbeddingRequest({ baseURL, model, texts }) {
+            return {
+                url: `${baseURL || OLLAMA_API_BASE}/api/embed`,
+                headers: { "Content-Type": "application/json" },
+                body: { model, input: texts }
+            };
+        },
+
+        /**
+         * Parse an /api/embed response
+         */
+        parseEmbeddingResponse(data) {
+            return data.embeddings || [];
+        },
+
+        /**
+         * Test API connection
+         */
+        async testConnection({ baseURL }) {
+            const response = await fetch(`${baseURL || OLLAMA_API_BASE}/api/tags`);
+
+            if (response.ok) {
+                return { success: true };
+            } else {
+                return { success: false, error: `HTTP ${response.status}` };
+            }
+        }
+    };
+
+    PaperChat.LLMService.registerProvider(PaperChat.OllamaService);
+
+    Zotero.debug("Paper Chat: Ollama Service module loaded");
+})();
@@ -0,0 +1,183 @@
+/* global Zotero, PaperChat, fetch */
+/* OpenAI-compatible Chat Completions Service for Paper Chat */
+
+(function () {
+    const OPENAI_API_BASE = "https://api.openai.com/v1";
+
+    /**
+     * OpenAI Service - any endpoint speaking the /chat/completions format
+     */
+    PaperChat.OpenAIService = {
+        id: "openai",
+        label: "OpenAI-compatible",
+        requiresAPIKey: false,
+        defaultBaseURL: OPENAI_API_BASE,
+
+        /**
+         * Build the chat completions request
+         * @param {Object} params - See LLMService provider interface
+         * @returns {Object} - { url, headers, body }
+         */
+        buildRequest({ apiKey, baseURL, model, systemPrompt, pdfContent, history, message, images, stream, responseSchema, quoteCitations }) {
+            const headers = { "Content-Type": "application/json" };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const body = {
+                model,
+                messages: this.buildMessages(message, pdfContent, history, systemPrompt, images, quoteCitations),
+                temperature: 0.7,
+                max_tokens: 8192,
+            };
+            if (stream) {
+                body.stream = true;
+                body.stream_options = { include_usage: true };
+            }
+            if (responseSchema) {
+                body.response_format = {
+                    type: "json_schema",
+                    json_schema: { name: "response", schema: responseSchema, strict: true }
+                };
+            }
+
+            return {
+                url: `${baseURL || OPENAI_API_BASE}/chat/completions`,
+                headers,
+                body
+            };
+        },
+
+        /**
+         * Build the messages array for the API request
+         */
+        buildMessages(message, pdfContent, conversationHistory, systemPrompt, images, quoteCitations = false) {
+            // A standalone request (no pdfContent) has no system message
+            const messages = pdfContent === null ? [] : [
+                {
+                    role: "system",
+                    content: PaperChat.LLMService.buildContextText(systemPrompt, pdfContent, [], quoteCitations)
+                }
+            ];
+
+            // Add conversation history
+            for (const msg of conversationHistory) {
+                messages.push({
+                    role: msg.role === "user" ? "user" : "assistant",
+                    content: msg.content
+                });
+            }
+
+            // Add current message, with images as data URLs if provided
+            if (images && images.length > 0) {
+                const content = [{ type: "text", text: message }];
+                for (const img of images) {
+                    content.push({
+                        type: "image_url",
+                        image_url: { url: `data:${img.mimeType || "image/png"};base64,${img.data}` }
+                    });
+                }
+                messages.push({ role: "user", content });
+            } else {
+                messages.push({ role: "user", content: message });
+            }
+
+            return messages;
+        },
+
+        /**
+         * Parse the API response
+         */
+        parseResponse(data) {
+            const choice = data.choices?.[0];
+            if (!choice) {
+                throw new Error("No response generated");
+            }
+            if (choice.finish_reason === "content_filter") {
+                throw new Error("Response blocked by content filter");
+            }
+
+            return {
+                text: choice.message?.content || "",
+                usage: data.usage
+            };
+        },
+
+        /**
+         * Parse one streamed (SSE) chunk
+         */
+        parseStreamEvent(data) {
+            const choice = data.choices?.[0];
+            if (choice?.finish_reason === "content_filter") {
+                throw new Error("Response blocked by content filter");
+            }
+
+            return {
+                text: choice?.delta?.content || "",
+                usage: data.usage
+            };
+        },
+
+        /**
+         * Token counts from the usage object (cached prompt tokens are part of prompt_tokens)
+         */
+        getTokenCounts(usage) {
+            if (!usage?.prompt_tokens) return null;
+            return {
+                inputTokens: usage.prompt_tokens,
+                outputTokens: usage.completion_tokens || 0,
+                cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0
+            };
+        },
+
+        /**
+         * Extract the error message from an error response body
+         */
+        getErrorMessage(data) {
+            return data.error?.message;
+        },
+
+        /**
+         * Build an /embeddings request
+         */
+        buildEmbeddingRequest({ apiKey, baseURL, model, texts }) {
+            const headers = { "Content-Type": "application/json" };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            return {
+                url: `${baseURL || OPENAI_API_BASE}/embeddings`,
+                headers,
+                body: { model, input: texts }
+            };
+        },
+
+        /**
+         * Parse an /embeddings response (sorted back into input order)
+         */
+        parseEmbeddingResponse(data) {
+            return [...(data.data || [])]
+                .sort((a, b) => a.index - b.index)
+                .map(d => d.embedding);
+        },
+
+        /**
+         * Test API connection
+         */
+        async testConnection({ apiKey, baseURL }) {
+            const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+            const response = await fetch(`${baseURL || OPENAI_API_BASE}/models`, { headers });
+
+            if (response.ok) {
+                return { success: true };
+            } else {
+                return { success: false, error: `HTTP ${response.status}` };
+            }
+        }
+    };
+
+    PaperChat.LLMService.registerProvider(PaperChat.OpenAIService);
+
+    Zotero.debug("Paper Chat: OpenAI Service module loaded");
+})();
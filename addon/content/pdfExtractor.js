@@ -1,17 +1,44 @@
-/* global Zotero, PaperChat, Components */
+/* global Zotero, PaperChat, Components, IOUtils */
 /* PDF Extractor - Extract text and images from PDFs */
 
 (function () {
+    // PDF.js as bundled with the Zotero reader (module build first, then the legacy build)
+    const PDFJS_BUILDS = [
+        { url: "resource://zotero/reader/pdf/build/pdf.mjs", worker: "resource://zotero/reader/pdf/build/pdf.worker.mjs", module: true },
+        { url: "resource://zotero/reader/pdf/build/pdf.js", worker: "resource://zotero/reader/pdf/build/pdf.worker.js", module: false }
+    ];
+    // A failed import inside an inline module script fires no error event
+    const PDFJS_LOAD_TIMEOUT_MS = 10000;
+    // Longest side of rendered page images, in pixels (enough to read figure labels)
+    const IMAGE_MAX_SIZE = 1600;
+    const IMAGE_MAX_SCALE = 4;
+    // Less text than this means the PDF has no usable text layer (e.g. a scan)
+    const MIN_TEXT_LENGTH = 50;
+    // Scans are transcribed one request per page, so very long ones are cut off
+    const OCR_MAX_PAGES = 60;
+    // A page image and its transcription, for the budget check before OCR
+    const OCR_PAGE_TOKENS = 2000;
+    const OCR_PROMPT = "Transcribe all text on the attached scanned page exactly as printed, in reading order. " +
+        "Keep paragraphs, headings, equations and table rows; skip running headers and page numbers. " +
+        "Output only the transcribed text, without comments, citations or markdown. " +
+        "If the page has no text, output nothing.";
+
     /**
      * PDF Extractor Service
      */
     PaperChat.PDFExtractor = {
+        pdfjsPromise: null,
+
         /**
          * Get full text content from a PDF attachment
          * @param {number} attachmentID - Zotero attachment item ID
-         * @returns {Promise<Object>} - Object with text, pages, and metadata
+         * @param {Object} options - { onStatus, signal, checkBudget(estimate) }, used when a scan has
+         *   to be transcribed; checkBudget throws to stop before the OCR requests are sent
+         * @returns {Promise<Object>} - Object with text (pages labelled "[Page N]" by printed label),
+         *   pages (Array of { pageNumber, pageLabel, text }), ocr (transcribed from page images),
+         *   partial (only the first pages were transcribed), and metadata
          */
-        async extractContent(attachmentID) {
+        async extractContent(attachmentID, options = {}) {
             const attachment = await Zotero.Items.getAsync(attachmentID);
             if (!attachment || !attachment.isPDFAttachment()) {
                 throw new Error("Invalid PDF attachment");
@@ -19,18 +46,40 @@
 
             Zotero.debug(`Paper Chat: Extracting content from attachment ${attachmentID}`);
 
-            // Try to get cached full-text first
-            let fullText = await this.getCachedFullText(attachmentID);
+            // A previous extraction of the same file, if cached; otherwise per-page sources first
+            // so the context carries real page boundaries: an open reader, then PDF.js on the file,
+            // then Zotero's full-text index, and OCR of the page images when none has any text
+            let fullText = await PaperChat.ExtractionCache?.get(attachment);
+            if (fullText) {
+                Zotero.debug(`Paper Chat: Using cached extraction of attachment ${attachmentID}`);
+            } else {
+                fullText = await this.extractFromOpenReader(attachmentID) ||
+                    await this.extractWithPDFJS(attachment) ||
+                    await this.getCachedFullText(attachmentID);
+                if (!this.hasText(fullText)) {
+                    try {
+                        fullText = await this.extractWithZoteroFulltext(attachment);
+                    } catch (e) {
+                        if (!PaperChat.isOCREnabled()) throw e;
+                        fullText = await this.extractWithOCR(attachment, options);
+                    }
+                }
+                if (fullText.text?.trim()) {
+                    await PaperChat.ExtractionCache?.set(attachment, fullText);
+                }
+            }
 
-            if (!fullText) {
-                // Extract directly using PDF.js
-                fullText = await this.extractWithPDFJS(attachment);
+            // Let the navigator resolve printed page labels the model cites
+            if (fullText.pages?.length && PaperChat.PDFNavigator) {
+                PaperChat.PDFNavigator.setPageLabels(attachmentID, fullText.pages.map(p => p.pageLabel || String(p.pageNumber)));
             }
 
             return {
                 text: fullText.text,
                 pages: fullText.pages || [],
                 pageCount: fullText.pageCount || 0,
+                ocr: !!fullText.ocr,
+                partial: !!fullText.partial,
                 title: attachment.parentItem?.getField("title") || attachment.getField("title") || "Untitled",
                 attachmentID
             };
@@ -44,11 +93,7 @@
                 // Try to get the indexed content
                 const content = await Zotero.Fulltext.getItemContent(attachmentID);
                 if (content && content.content) {
-                    return {
-                        text: content.content,
-                        pageCount: content.pageCount || 0,
-                        pages: [] // Cached version doesn't have per-page breakdown
-                    };
+                    return this.fromIndexedText(content.content, content.pageCount);
                 }
             } catch (e) {
                 Zotero.debug(`Paper Chat: No cached full-text for ${attachmentID}: ${e}`);
@@ -57,92 +102,658 @@
         },
 
         /**
-         * Extract text using Zotero's built-in full-text indexer
-         * (Replaces direct PDF.js extraction which is unstable in Z7)
+         * Extract text page by page by running PDF.js on the attachment file,
+         * so no reader tab needs to be open
+         * @returns {Promise<Object|null>} - { text, pages, pageCount }, or null if PDF.js is unavailable
          */
         async extractWithPDFJS(attachment) {
-            Zotero.debug("Paper Chat: Attempting extraction via Fulltext Indexer");
-            return await this.extractWithZoteroFulltext(attachment);
+            try {
+                const pdfDoc = await this.openWithPDFJS(attachment);
+                if (!pdfDoc) {
+                    return null;
+                }
+
+                try {
+                    Zotero.debug(`Paper Chat: Extracting ${pdfDoc.numPages} pages with PDF.js`);
+                    const result = await this.extractPages(pdfDoc);
+                    return this.hasText(result) ? result : null;
+                } finally {
+                    pdfDoc.destroy();
+                }
+            } catch (e) {
+                Zotero.debug(`Paper Chat: PDF.js extraction failed: ${e}`);
+                return null;
+            }
         },
 
         /**
-         * Extract text string from an open Zotero Reader
+         * Transcribe a scanned PDF by sending each page image to the chat model
+         * @param {Zotero.Item} attachment - PDF attachment
+         * @param {Object} options - { onStatus, signal, checkBudget }
+         * @returns {Promise<Object>} - { text, pages, pageCount, ocr: true, partial }, partial when the
+         *   scan is longer than OCR_MAX_PAGES and only its first pages were transcribed
          */
-        async extractFromOpenReader(attachmentID) {
+        async extractWithOCR(attachment, options = {}) {
+            const pdfDoc = await this.openWithPDFJS(attachment);
+            if (!pdfDoc) {
+                throw new Error("Could not extract text: the PDF file is missing.");
+            }
+
             try {
-                let reader = null;
+                const labels = await this.readPageLabels(pdfDoc);
+                const count = Math.min(pdfDoc.numPages, OCR_MAX_PAGES);
+                if (pdfDoc.numPages > count) {
+                    Zotero.debug(`Paper Chat: Scan has ${pdfDoc.numPages} pages, transcribing the first ${count}`);
+                }
+                await options.checkBudget?.(count * OCR_PAGE_TOKENS);
+
+                const pages = [];
+                for (let i = 1; i <= count; i++) {
+                    options.signal?.throwIfAborted();
+                    options.onStatus?.(`No text layer, running OCR on page ${i}/${count}...`);
+
+                    const image = await this.renderPage(pdfDoc, i - 1);
+                    // A standalone request: the chat's system prompt and citation rules don't apply to a transcription
+                    const response = await PaperChat.LLMService.sendMessage(
+                        OCR_PROMPT,
+                        null,
+                        [],
+                        [image],
+                        { onStatus: options.onStatus, signal: options.signal }
+                    );
+                    pages.push({ pageNumber: i, pageLabel: labels[i - 1], text: response.text.trim() });
+                }
 
-                // Attempt 1: Zotero 7 API - getByItemID
-                if (typeof Zotero.Reader.getByItemID === 'function') {
-                    reader = Zotero.Reader.getByItemID(attachmentID);
+                const text = this.formatPages(pages);
+                if (!this.hasText({ text })) {
+                    throw new Error("Could not extract text: OCR found no text in the PDF.");
                 }
+                Zotero.debug(`Paper Chat: Transcribed ${count} pages of attachment ${attachment.id} with OCR`);
+                return { text, pages, pageCount: pdfDoc.numPages, ocr: true, partial: pdfDoc.numPages > count };
+            } finally {
+                pdfDoc.destroy();
+            }
+        },
 
-                // Attempt 2: Internal _readers list
-                if (!reader && Zotero.Reader._readers) {
-                    const readers = Zotero.Reader._readers;
-                    const list = Array.isArray(readers) ? readers : Object.values(readers);
-                    reader = list.find(r => r.itemID == attachmentID);
-                    if (reader) {
-                        Zotero.debug("Paper Chat: Found reader via Zotero.Reader._readers");
-                    }
+        /**
+         * Whether an extraction has enough text to be a text layer
+         * @param {Object|null} fullText - { text } from an extraction source
+         */
+        hasText(fullText) {
+            return (fullText?.text?.trim().length || 0) > MIN_TEXT_LENGTH;
+        },
+
+        /**
+         * Path, size and modification time of an attachment's file
+         * @returns {Promise<Object|null>} - { path, size, lastModified }, or null if the file is missing
+         */
+        async getFileInfo(attachment) {
+            const path = await attachment.getFilePathAsync();
+            if (!path) {
+                return null;
+            }
+            const info = await IOUtils.stat(path);
+            return { path, size: info.size, lastModified: info.lastModified };
+        },
+
+        /**
+         * Open the attachment file as a PDF.js document; the caller must destroy() it
+         * @returns {Promise<Object|null>} - PDFDocumentProxy, or null if the file is missing
+         */
+        async openWithPDFJS(attachment) {
+            const path = await attachment.getFilePathAsync();
+            if (!path) {
+                Zotero.debug("Paper Chat: Attachment file is missing");
+                return null;
+            }
+
+            const pdfjsLib = await this.loadPDFJS();
+            const data = await IOUtils.read(path);
+            return pdfjsLib.getDocument({ data, isEvalSupported: false }).promise;
+        },
+
+        /**
+         * Get the printed page labels of a PDF ("iv", "1127", ...), indexed by physical page
+         * @param {number} attachmentID - Attachment ID
+         * @returns {Promise<Array<string>|null>} - Labels, or null if the PDF can't be read
+         */
+        async getPageLabels(attachmentID) {
+            try {
+                const readerDoc = this.getReaderPDFDocument(attachmentID);
+                if (readerDoc) {
+                    return await this.readPageLabels(readerDoc);
                 }
 
-                if (!reader) {
+                const attachment = await Zotero.Items.getAsync(attachmentID);
+                const pdfDoc = attachment && await this.openWithPDFJS(attachment);
+                if (!pdfDoc) {
                     return null;
                 }
 
-                // Get text from the reader internal state
-                const pdfDoc = reader._iframeWindow?.PDFViewerApplication?.pdfDocument ||
-                    reader._internalReader?._iframeWindow?.PDFViewerApplication?.pdfDocument ||
-                    reader.pdfDocument ||
-                    (reader.internalInstance && reader.internalInstance.pdfDocument);
+                try {
+                    return await this.readPageLabels(pdfDoc);
+                } finally {
+                    pdfDoc.destroy();
+                }
+            } catch (e) {
+                Zotero.debug(`Paper Chat: Could not read page labels for ${attachmentID}: ${e}`);
+                return null;
+            }
+        },
+
+        /**
+         * Read page labels from a PDF.js document, falling back to physical page numbers
+         */
+        async readPageLabels(pdfDoc) {
+            const labels = await pdfDoc.getPageLabels().catch(() => null);
+            return Array.from({ length: pdfDoc.numPages }, (_, i) => labels?.[i] || String(i + 1));
+        },
 
-                if (pdfDoc) {
-                    Zotero.debug(`Paper Chat: Found PDF Doc, pages: ${pdfDoc.numPages}`);
-                    let fullText = "";
-
-                    for (let i = 1; i <= pdfDoc.numPages; i++) {
-                        try {
-                            const page = await pdfDoc.getPage(i);
-                            const content = await page.getTextContent();
-                            const strings = content.items.map(item => item.str);
-                            fullText += strings.join(" ") + "\n\n";
-                        } catch (e) {
-                            Zotero.debug(`Paper Chat: Page ${i} extraction error: ${e}`);
-                        }
-                    }
+        /**
+         * Load the PDF.js bundled with the Zotero reader into the main window
+         * @returns {Promise<Object>} - The pdfjsLib namespace
+         */
+        loadPDFJS() {
+            if (!this.pdfjsPromise) {
+                this.pdfjsPromise = this.loadPDFJSBuild().catch((e) => {
+                    // Allow another attempt later (e.g. after the main window reloads)
+                    this.pdfjsPromise = null;
+                    throw e;
+                });
+            }
+            return this.pdfjsPromise;
+        },
+
+        /**
+         * Try each bundled PDF.js build until one loads
+         */
+        async loadPDFJSBuild() {
+            const win = Zotero.getMainWindow();
+            if (!win) {
+                throw new Error("No Zotero window available to load PDF.js");
+            }
+
+            for (const build of PDFJS_BUILDS) {
+                try {
+                    const pdfjsLib = await this.injectPDFJS(win, build);
+                    pdfjsLib.GlobalWorkerOptions.workerSrc = build.worker;
+                    Zotero.debug(`Paper Chat: Loaded PDF.js ${pdfjsLib.version || ""} from ${build.url}`);
+                    return pdfjsLib;
+                } catch (e) {
+                    Zotero.debug(`Paper Chat: Could not load PDF.js from ${build.url}: ${e}`);
+                }
+            }
 
-                    if (fullText.trim().length > 0) {
-                        return {
-                            text: fullText,
-                            pageCount: pdfDoc.numPages
-                        };
+            throw new Error("PDF.js is not available");
+        },
+
+        /**
+         * Load one PDF.js build with a script element and return its namespace
+         */
+        injectPDFJS(win, build) {
+            return new Promise((resolve, reject) => {
+                const doc = win.document;
+                const script = doc.createElementNS("http://www.w3.org/1999/xhtml", "script");
+                const timer = setTimeout(() => {
+                    script.remove();
+                    reject(new Error("Timed out"));
+                }, PDFJS_LOAD_TIMEOUT_MS);
+                const done = () => {
+                    clearTimeout(timer);
+                    script.remove();
+                    const pdfjsLib = win.paperChatPDFJS || win.pdfjsLib;
+                    if (pdfjsLib?.getDocument) {
+                        resolve(pdfjsLib);
+                    } else {
+                        reject(new Error("PDF.js did not initialize"));
                     }
+                };
+
+                if (build.module) {
+                    // Module scripts can't hand back exports directly, so publish them on the window
+                    script.type = "module";
+                    script.textContent = `import * as pdfjsLib from "${build.url}"; window.paperChatPDFJS = pdfjsLib; window.dispatchEvent(new Event("paperchat-pdfjs"));`;
+                    win.addEventListener("paperchat-pdfjs", done, { once: true });
+                    script.onerror = () => reject(new Error("Script failed to load"));
                 } else {
-                    Zotero.debug("Paper Chat: Reader found but PDF doc access failed. Keys: " + Object.keys(reader));
+                    script.src = build.url;
+                    script.onload = done;
+                    script.onerror = () => reject(new Error("Script failed to load"));
+                }
+
+                doc.documentElement.appendChild(script);
+            });
+        },
+
+        /**
+         * Extract every page of a PDF.js document
+         * @param {Object} pdfDoc - PDFDocumentProxy
+         * @returns {Promise<Object>} - { text, pages, pageCount }
+         */
+        async extractPages(pdfDoc) {
+            const labels = await this.readPageLabels(pdfDoc);
+            const pages = [];
+
+            for (let i = 1; i <= pdfDoc.numPages; i++) {
+                const pageLabel = labels[i - 1];
+                try {
+                    const page = await pdfDoc.getPage(i);
+                    const content = await page.getTextContent();
+                    pages.push({ pageNumber: i, pageLabel, text: this.textContentToString(content) });
+                } catch (e) {
+                    Zotero.debug(`Paper Chat: Page ${i} extraction error: ${e}`);
+                    pages.push({ pageNumber: i, pageLabel, text: "" });
+                }
+            }
+
+            return {
+                text: this.formatPages(pages),
+                pages,
+                pageCount: pdfDoc.numPages
+            };
+        },
+
+        /**
+         * Join PDF.js text items, keeping the line breaks PDF.js reports
+         */
+        textContentToString(content) {
+            return content.items
+                .map(item => item.str + (item.hasEOL ? "\n" : " "))
+                .join("")
+                .replace(/[ \t]+\n/g, "\n")
+                .replace(/[ \t]{2,}/g, " ")
+                .trim();
+        },
+
+        /**
+         * Build the context text with a "[Page N]" marker before each page,
+         * using the printed page label when the PDF has one
+         * @param {Array} pages - Array of { pageNumber, pageLabel, text }
+         * @returns {string} - Labelled text
+         */
+        formatPages(pages) {
+            return pages
+                .filter(page => page.text)
+                .map(page => `[Page ${page.pageLabel || page.pageNumber}]\n${page.text}`)
+                .join("\n\n");
+        },
+
+        /**
+         * Get the text around a selection on a page, cut at sentence boundaries,
+         * so a question about a few words comes with their paragraph
+         * @param {number} attachmentID - Attachment ID
+         * @param {number} pageIndex - 0-based page index
+         * @param {string} selectedText - The selected text
+         * @param {number} radius - Characters to include on each side
+         * @returns {Promise<string>} - Surrounding text, or "" if the selection isn't found
+         */
+        async getSurroundingText(attachmentID, pageIndex, selectedText, radius = 600) {
+            let pdfDoc = this.getReaderPDFDocument(attachmentID);
+            let ownDoc = false;
+
+            try {
+                if (!pdfDoc) {
+                    const attachment = await Zotero.Items.getAsync(attachmentID);
+                    pdfDoc = await this.openWithPDFJS(attachment);
+                    ownDoc = !!pdfDoc;
+                }
+                if (!pdfDoc) return "";
+
+                const page = await pdfDoc.getPage(pageIndex + 1);
+                const pageText = this.textContentToString(await page.getTextContent()).replace(/\s+/g, " ");
+                const needle = selectedText.replace(/\s+/g, " ").trim();
+
+                const index = pageText.toLowerCase().indexOf(needle.toLowerCase());
+                if (index === -1) return "";
+
+                let start = Math.max(0, index - radius);
+                let end = Math.min(pageText.length, index + needle.length + radius);
+
+                // Start and end on sentence boundaries
+                if (start > 0) {
+                    const sentenceStart = pageText.indexOf(". ", start);
+                    if (sentenceStart !== -1 && sentenceStart < index) start = sentenceStart + 2;
                 }
+                if (end < pageText.length) {
+                    const sentenceEnd = pageText.lastIndexOf(". ", end);
+                    if (sentenceEnd >= index + needle.length) end = sentenceEnd + 1;
+                }
+
+                return pageText.substring(start, end).trim();
             } catch (e) {
-                Zotero.debug(`Paper Chat: Reader extraction failed: ${e}`);
+                Zotero.debug(`Paper Chat: Could not read text around selection: ${e}`);
+                return "";
+            } finally {
+                if (ownDoc) pdfDoc.destroy();
+            }
+        },
+
+        /**
+         * Render a page, or a region of it, to a PNG image
+         * @param {number} attachmentID - Attachment ID
+         * @param {number} pageIndex - 0-based page index
+         * @param {Array<number>} rect - Optional region [x1, y1, x2, y2] in PDF points
+         *   (as in the position of an image annotation)
+         * @returns {Promise<Object>} - { mimeType, data (base64), pageIndex, pageLabel, width, height }
+         */
+        async renderPageImage(attachmentID, pageIndex, rect = null) {
+            const attachment = await Zotero.Items.getAsync(attachmentID);
+            const pdfDoc = await this.openWithPDFJS(attachment);
+            if (!pdfDoc) {
+                throw new Error("PDF file not found");
+            }
+
+            try {
+                const labels = await this.readPageLabels(pdfDoc);
+                return { ...(await this.renderPage(pdfDoc, pageIndex, rect)), pageIndex, pageLabel: labels[pageIndex] };
+            } finally {
+                pdfDoc.destroy();
+            }
+        },
+
+        /**
+         * Render a page of an open PDF.js document, or a region of it, to a PNG image
+         * @param {Object} pdfDoc - PDFDocumentProxy
+         * @param {number} pageIndex - 0-based page index
+         * @param {Array<number>} rect - Optional region [x1, y1, x2, y2] in PDF points
+         * @returns {Promise<Object>} - { mimeType, data (base64), width, height }
+         */
+        async renderPage(pdfDoc, pageIndex, rect = null) {
+            const page = await pdfDoc.getPage(pageIndex + 1);
+            const base = page.getViewport({ scale: 1 });
+            const width = rect ? Math.abs(rect[2] - rect[0]) : base.width;
+            const height = rect ? Math.abs(rect[3] - rect[1]) : base.height;
+            const scale = Math.min(IMAGE_MAX_SIZE / Math.max(width, height, 1), IMAGE_MAX_SCALE);
+            const viewport = page.getViewport({ scale });
+
+            const doc = Zotero.getMainWindow().document;
+            const canvas = doc.createElementNS("http://www.w3.org/1999/xhtml", "canvas");
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            const context = canvas.getContext("2d");
+            // Transparent areas would otherwise come out black in some viewers
+            context.fillStyle = "white";
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: context, viewport }).promise;
+
+            let output = canvas;
+            if (rect) {
+                // Viewport coordinates are flipped vertically relative to PDF points
+                const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+                const left = Math.max(0, Math.floor(Math.min(x1, x2)));
+                const top = Math.max(0, Math.floor(Math.min(y1, y2)));
+                output = doc.createElementNS("http://www.w3.org/1999/xhtml", "canvas");
+                output.width = Math.max(1, Math.min(canvas.width - left, Math.ceil(Math.abs(x2 - x1))));
+                output.height = Math.max(1, Math.min(canvas.height - top, Math.ceil(Math.abs(y2 - y1))));
+                output.getContext("2d").drawImage(canvas, left, top, output.width, output.height,
+                    0, 0, output.width, output.height);
+            }
+
+            return {
+                mimeType: "image/png",
+                data: output.toDataURL("image/png").replace(/^data:image\/png;base64,/, ""),
+                width: output.width,
+                height: output.height
+            };
+        },
+
+        /**
+         * Find a quote in extracted pages, tolerating differences in case, punctuation,
+         * line-break hyphenation and "..." elisions. The cited page is checked first;
+         * quotes running over a page break are matched against both pages.
+         * @param {Array} pages - Array of { pageNumber, pageLabel, text }
+         * @param {string} quote - Quote as given by the model
+         * @param {string} pageLabel - Page the model cited (optional)
+         * @returns {Object|null} - The page containing the quote, or null if it isn't in the text
+         */
+        findQuote(pages, quote, pageLabel) {
+            const segments = quote.split(/\.{3}|…/)
+                .map(s => this.normalizeForMatch(s))
+                .filter(Boolean);
+            // Too short to say anything about where it came from
+            if (segments.join(" ").length < 12) {
+                return null;
+            }
+
+            const normalized = pages.map(page => this.normalizeForMatch(page.text || ""));
+            const order = pages.map((_, i) => i)
+                .sort((a, b) => (pages[b].pageLabel === pageLabel) - (pages[a].pageLabel === pageLabel));
+
+            for (const i of order) {
+                if (this.containsInOrder(normalized[i], segments)) {
+                    return pages[i];
+                }
+            }
+            for (let i = 0; i < pages.length - 1; i++) {
+                if (this.containsInOrder(`${normalized[i]} ${normalized[i + 1]}`, segments)) {
+                    return pages[i];
+                }
             }
             return null;
         },
 
         /**
-         * Extract text (Main Strategy)
+         * Read a page's text layer for locating quotes
+         * @param {Object} pdfDoc - PDFDocumentProxy
+         * @param {number} pageIndex - 0-based page index
+         * @returns {Promise<Object>} - { pageIndex, items, normalized, origin, height }, where
+         *   origin[i] is the { item, char } that normalized character i came from (null for spaces)
          */
-        async extractWithZoteroFulltext(attachment) {
-            // STRATEGY 1: Check Open Reader (Fastest)
-            const readerContent = await this.extractFromOpenReader(attachment.id);
-            if (readerContent && readerContent.text.length > 50) {
-                Zotero.debug("Paper Chat: Extracted text from Open Reader (Strategy 1)");
+        async readTextLayer(pdfDoc, pageIndex) {
+            const page = await pdfDoc.getPage(pageIndex + 1);
+            const { items } = await page.getTextContent();
+
+            // Same normalization as normalizeForMatch, one character at a time
+            let normalized = "";
+            const origin = [];
+            const addSpace = () => {
+                if (normalized && !normalized.endsWith(" ")) {
+                    normalized += " ";
+                    origin.push(null);
+                }
+            };
+
+            items.forEach((item, itemIndex) => {
+                const str = item.str || "";
+                // A word hyphenated across lines is joined without the hyphen
+                const hyphenated = item.hasEOL && /\p{L}[-\u00ad]$/u.test(str);
+                const end = hyphenated ? str.length - 1 : str.length;
+
+                for (let i = 0; i < end; i++) {
+                    for (const char of str[i].normalize("NFKC").toLowerCase()) {
+                        if (/[\p{L}\p{N}]/u.test(char)) {
+                            normalized += char;
+                            origin.push({ item: itemIndex, char: i });
+                        } else {
+                            addSpace();
+                        }
+                    }
+                }
+                if (!hyphenated && (str || item.hasEOL)) {
+                    addSpace();
+                }
+            });
+
+            return { pageIndex, items, normalized, origin, height: page.getViewport({ scale: 1 }).height };
+        },
+
+        /**
+         * Find where a quote is in a page's text layer
+         * @param {Object} layer - From readTextLayer
+         * @param {string} quote - Quote, possibly with "..." elisions
+         * @returns {Object|null} - { text, rects (PDF points), offset, top }, or null if not on the page
+         */
+        locateQuote(layer, quote) {
+            const segments = quote.split(/\.{3}|…/)
+                .map(s => this.normalizeForMatch(s))
+                .filter(Boolean);
+            if (segments.length === 0) return null;
+
+            // The highlight runs from the first segment to the end of the last
+            let from = 0;
+            let start = -1;
+            for (const segment of segments) {
+                const index = layer.normalized.indexOf(segment, from);
+                if (index === -1) return null;
+                if (start === -1) start = index;
+                from = index + segment.length;
+            }
+
+            // Character range covered in each text item
+            const spans = new Map();
+            for (let i = start; i < from; i++) {
+                const source = layer.origin[i];
+                if (!source) continue;
+                const span = spans.get(source.item);
+                if (span) {
+                    span.last = source.char;
+                } else {
+                    spans.set(source.item, { first: source.char, last: source.char });
+                }
+            }
+
+            const rects = [];
+            let text = "";
+            for (const [itemIndex, { first, last }] of spans) {
+                const item = layer.items[itemIndex];
+                const [, , c, d, x, y] = item.transform;
+                const length = item.str.length || 1;
+                const height = item.height || Math.hypot(c, d);
+                // y is the baseline; glyphs reach a little below it
+                rects.push([
+                    x + item.width * first / length,
+                    y - height * 0.2,
+                    x + item.width * (last + 1) / length,
+                    y + height * 0.8
+                ]);
+                // Words split by a line-end hyphen are rejoined
+                const joined = item.hasEOL && last === item.str.length - 2 && /[-\u00ad]$/.test(item.str);
+                text += item.str.substring(first, last + 1) + (joined ? "" : " ");
+            }
+
+            const firstItem = spans.keys().next().value;
+            const offset = layer.items.slice(0, firstItem).reduce((sum, item) => sum + (item.str || "").length, 0) +
+                spans.get(firstItem).first;
+            const top = Math.max(0, layer.height - Math.max(...rects.map(r => r[3])));
+
+            return {
+                text: text.replace(/\s+/g, " ").trim(),
+                rects,
+                offset,
+                top
+            };
+        },
+
+        /**
+         * Normalize text for quote matching: join hyphenated line breaks, drop
+         * punctuation and case, collapse whitespace
+         */
+        normalizeForMatch(text) {
+            return text.normalize("NFKC")
+                .replace(/(\p{L})-\s*\n\s*(\p{L})/gu, "$1$2")
+                .toLowerCase()
+                .replace(/[^\p{L}\p{N}]+/gu, " ")
+                .trim();
+        },
+
+        /**
+         * Whether all segments occur in the text, in order
+         */
+        containsInOrder(text, segments) {
+            let from = 0;
+            for (const segment of segments) {
+                const index = text.indexOf(segment, from);
+                if (index === -1) return false;
+                from = index + segment.length;
+            }
+            return true;
+        },
+
+        /**
+         * Turn full-text index content into pages when it carries form-feed page breaks
+         * (as produced by pdftotext); otherwise return it unlabelled
+         */
+        fromIndexedText(text, pageCount = 0) {
+            const parts = text.split("\f");
+            if (parts.length > 1) {
+                const pages = parts.map((part, i) => ({ pageNumber: i + 1, text: part.trim() }));
+                while (pages.length > 0 && !pages[pages.length - 1].text) {
+                    pages.pop();
+                }
                 return {
-                    text: readerContent.text,
-                    pages: [],
-                    pageCount: readerContent.pageCount
+                    text: this.formatPages(pages),
+                    pages,
+                    pageCount: pageCount || pages.length
                 };
             }
 
-            // STRATEGY 2: Fulltext Index Cache File (Robust Fallback)
+            return { text, pages: [], pageCount };
+        },
+
+        /**
+         * Extract text string from an open Zotero Reader
+         */
+        async extractFromOpenReader(attachmentID) {
+            try {
+                const pdfDoc = this.getReaderPDFDocument(attachmentID);
+
+                if (pdfDoc) {
+                    Zotero.debug(`Paper Chat: Found PDF Doc, pages: ${pdfDoc.numPages}`);
+                    const result = await this.extractPages(pdfDoc);
+
+                    if (this.hasText(result)) {
+                        Zotero.debug("Paper Chat: Extracted text from Open Reader");
+                        return result;
+                    }
+                }
+            } catch (e) {
+                Zotero.debug(`Paper Chat: Reader extraction failed: ${e}`);
+            }
+            return null;
+        },
+
+        /**
+         * Get the PDF.js document of an open reader tab
+         * @returns {Object|null} - PDFDocumentProxy, or null if no reader is open
+         */
+        getReaderPDFDocument(attachmentID) {
+            let reader = null;
+
+            // Attempt 1: Zotero 7 API - getByItemID
+            if (typeof Zotero.Reader.getByItemID === 'function') {
+                reader = Zotero.Reader.getByItemID(attachmentID);
+            }
+
+            // Attempt 2: Internal _readers list
+            if (!reader && Zotero.Reader._readers) {
+                const readers = Zotero.Reader._readers;
+                const list = Array.isArray(readers) ? readers : Object.values(readers);
+                reader = list.find(r => r.itemID == attachmentID);
+                if (reader) {
+                    Zotero.debug("Paper Chat: Found reader via Zotero.Reader._readers");
+                }
+            }
+
+            if (!reader) {
+                return null;
+            }
+
+            // Get the document from the reader internal state
+            const pdfDoc = reader._iframeWindow?.PDFViewerApplication?.pdfDocument ||
+                reader._internalReader?._iframeWindow?.PDFViewerApplication?.pdfDocument ||
+                reader.pdfDocument ||
+                (reader.internalInstance && reader.internalInstance.pdfDocument);
+
+            if (!pdfDoc) {
+                Zotero.debug("Paper Chat: Reader found but PDF doc access failed. Keys: " + Object.keys(reader));
+            }
+            return pdfDoc || null;
+        },
+
+        /**
+         * Extract text from Zotero's full-text index cache file (last resort)
+         */
+        async extractWithZoteroFulltext(attachment) {
             try {
                 Zotero.debug("Paper Chat: Checking Fulltext Index...");
 
@@ -166,7 +777,7 @@
                         const content = Zotero.File.getContents(cacheFile);
                         if (content && content.length > 50) {
                             Zotero.debug("Paper Chat: Extracted text from Fulltext Cache File");
-                            return { text: content, pageCount: 0 };
+                            return this.fromIndexedText(content);
                         }
                     } else {
                         Zotero.debug("Paper Chat: No cache file found.");
@@ -228,28 +839,72 @@
                             attachments.push(attach);
                         }
                     }
-                } else if (item.isCollection?.()) {
-                    // Handle collection selection
-                    const collectionItems = item.getChildItems();
-                    for (const collItem of collectionItems) {
-                        if (collItem.isPDFAttachment()) {
-                            attachments.push(collItem);
-                        } else if (collItem.isRegularItem()) {
-                            const itemAttachments = await collItem.getAttachments();
-                            for (const attachID of itemAttachments) {
-                                const attach = await Zotero.Items.getAsync(attachID);
-                                if (attach?.isPDFAttachment()) {
-                                    attachments.push(attach);
-                                }
-                            }
-                        }
-                    }
                 }
             }
 
             return attachments;
         },
 
+        /**
+         * Get the papers in a collection and (optionally) its subcollections
+         * @param {Zotero.Collection} collection - Collection
+         * @param {boolean} includeSubcollections - Also descend into subcollections
+         * @returns {Promise<Array>} - Array of { item, attachment }, the collection's own items first
+         */
+        async getCollectionPDFItems(collection, includeSubcollections = true) {
+            const items = [];
+            const pending = [collection];
+            while (pending.length > 0) {
+                const current = pending.shift();
+                items.push(...current.getChildItems(false));
+                if (includeSubcollections) {
+                    pending.push(...current.getChildCollections(false));
+                }
+            }
+            return this.getPDFItems(items);
+        },
+
+        /**
+         * Get the papers matching a saved search
+         * @param {Zotero.Search} search - Saved search
+         * @returns {Promise<Array>} - Array of { item, attachment }
+         */
+        async getSavedSearchPDFItems(search) {
+            const ids = await search.search();
+            return this.getPDFItems(await Zotero.Items.getAsync(ids));
+        },
+
+        /**
+         * Pair items with their first PDF (standalone PDFs stand for themselves), once per paper
+         * @param {Array<Zotero.Item>} items - Items
+         * @returns {Promise<Array>} - Array of { item, attachment }
+         */
+        async getPDFItems(items) {
+            const result = [];
+            const seen = new Set();
+
+            for (const item of items) {
+                let entry = null;
+                if (item.isPDFAttachment()) {
+                    entry = { item: item.parentItem || item, attachment: item };
+                } else if (item.isRegularItem()) {
+                    for (const attachID of item.getAttachments()) {
+                        const attach = await Zotero.Items.getAsync(attachID);
+                        if (attach?.isPDFAttachment()) {
+                            entry = { item, attachment: attach };
+                            break;
+                        }
+                    }
+                }
+
+                if (entry && !seen.has(entry.item.id)) {
+                    seen.add(entry.item.id);
+                    result.push(entry);
+                }
+            }
+            return result;
+        },
+
         /**
          * Estimate token count (rough approximation)
          * @param {string} text - Text to estimate
@@ -2,40 +2,178 @@
 /* PDF Navigator - Navigate and highlight content in PDFs */
 
 (function () {
+    // A printed page label: arabic digits or a lowercase roman numeral (front matter)
+    const PAGE_LABEL = "(?:\\d+|(?=[ivx]+\\b)x{0,3}(?:ix|iv|v?i{0,3})(?<=[ivx]))\\b";
+    // "page 5", "pages 5-7", "p. 1127", "pp. 1123–1125", "page iv"
+    const PAGE_REFERENCE_PATTERN = `\\b(?:[Pp]ages?|PAGES?|pp?\\.)\\s*(${PAGE_LABEL})(?:\\s*[-–]\\s*(${PAGE_LABEL}))?`;
+    // Longest numeric range expanded into individual pages
+    const MAX_RANGE_PAGES = 50;
+
     /**
      * PDF Navigator Service
      */
     PaperChat.PDFNavigator = {
+        // attachmentID -> printed page labels, indexed by physical page
+        pageLabels: new Map(),
+
         /**
          * Navigate to a specific page in a PDF
          * @param {number} attachmentID - Attachment ID
-         * @param {number} pageNumber - Page number (1-indexed)
+         * @param {number|string} pageLabel - Page as cited: a printed label ("1127", "iv")
+         *   or, when the PDF has no such label, a 1-indexed page number
          */
-        async navigateToPage(attachmentID, pageNumber) {
+        async navigateToPage(attachmentID, pageLabel) {
             try {
                 const attachment = await Zotero.Items.getAsync(attachmentID);
                 if (!attachment) return;
 
-                // Get the library and key for URI construction
-                const libraryID = attachment.libraryID;
-                const key = attachment.key;
-
-                // Try to find an open reader for this attachment
-                const reader = await this.getReaderForAttachment(attachmentID);
-
-                if (reader) {
-                    // Navigate within open reader
-                    await this.scrollToPage(reader, pageNumber);
-                } else {
-                    // Open the PDF at the specified page
-                    const uri = `zotero://open-pdf/library/items/${key}?page=${pageNumber}`;
-                    Zotero.launchURL(uri);
+                const pageIndex = await this.resolvePageIndex(attachmentID, pageLabel);
+                if (pageIndex === null) {
+                    Zotero.debug(`Paper Chat: No page "${pageLabel}" in attachment ${attachmentID}`);
+                    return;
                 }
+                await this.openPageIndex(attachment, pageIndex);
             } catch (e) {
                 Zotero.logError(`Paper Chat: Navigation error: ${e}`);
             }
         },
 
+        /**
+         * Show a physical page, in the open reader or by opening the PDF
+         * @param {Zotero.Item} attachment - PDF attachment
+         * @param {number} pageIndex - 0-based page index
+         */
+        async openPageIndex(attachment, pageIndex) {
+            const pageNumber = pageIndex + 1;
+
+            // Try to find an open reader for this attachment
+            const reader = await this.getReaderForAttachment(attachment.id);
+
+            if (reader) {
+                // Navigate within open reader
+                await this.scrollToPage(reader, pageNumber);
+            } else {
+                // Open the PDF at the specified page
+                const uri = `zotero://open-pdf/library/items/${attachment.key}?page=${pageNumber}`;
+                Zotero.launchURL(uri);
+            }
+        },
+
+        /**
+         * Remember the page labels of an attachment (set by the extractor)
+         * @param {number} attachmentID - Attachment ID
+         * @param {Array<string>} labels - Printed labels, indexed by physical page
+         */
+        setPageLabels(attachmentID, labels) {
+            this.pageLabels.set(attachmentID, labels);
+        },
+
+        /**
+         * Resolve a cited page label to a physical page index, reading the PDF's labels if needed
+         * @param {number} attachmentID - Attachment ID
+         * @param {number|string} pageLabel - Cited page
+         * @returns {Promise<number|null>} - 0-based page index, or null if there is no such page
+         */
+        async resolvePageIndex(attachmentID, pageLabel) {
+            let labels = this.pageLabels.get(attachmentID);
+            if (!labels && PaperChat.PDFExtractor) {
+                labels = await PaperChat.PDFExtractor.getPageLabels(attachmentID);
+                if (labels) {
+                    this.setPageLabels(attachmentID, labels);
+                }
+            }
+            return this.getPageIndex(labels, pageLabel);
+        },
+
+        /**
+         * Resolve a cited page using only labels already known (no PDF access)
+         * @returns {number|null} - 0-based page index
+         */
+        getCachedPageIndex(attachmentID, pageLabel) {
+            return this.getPageIndex(this.pageLabels.get(attachmentID), pageLabel);
+        },
+
+        /**
+         * Find a cited page in a list of labels. A label match wins; otherwise
+         * an arabic or roman number is taken as the physical page number.
+         * @param {Array<string>|null} labels - Printed labels, indexed by physical page
+         * @param {number|string} pageLabel - Cited page
+         * @returns {number|null} - 0-based page index
+         */
+        getPageIndex(labels, pageLabel) {
+            const label = String(pageLabel).trim().toLowerCase();
+
+            if (labels) {
+                const index = labels.findIndex(l => String(l).trim().toLowerCase() === label);
+                if (index !== -1) {
+                    return index;
+                }
+            }
+
+            const number = /^\d+$/.test(label) ? parseInt(label, 10) : this.romanToNumber(label);
+            if (!number || (labels && number > labels.length)) {
+                return null;
+            }
+            return number - 1;
+        },
+
+        /**
+         * Convert a roman numeral to a number
+         * @returns {number|null} - Value, or null if the text isn't a roman numeral
+         */
+        romanToNumber(text) {
+            const values = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+            if (!/^[ivxlcdm]+$/i.test(text)) {
+                return null;
+            }
+
+            const digits = text.toLowerCase().split("").map(c => values[c]);
+            return digits.reduce((sum, value, i) => sum + (value < (digits[i + 1] || 0) ? -value : value), 0);
+        },
+
+        /**
+         * Find page references in text
+         * @param {string} text - Text to search
+         * @returns {Array<Object>} - Array of { index, text, start, end } where start/end are page labels
+         */
+        findPageReferences(text) {
+            const pattern = new RegExp(PAGE_REFERENCE_PATTERN, "g");
+            const references = [];
+            let match;
+
+            while ((match = pattern.exec(text)) !== null) {
+                references.push({
+                    index: match.index,
+                    text: match[0],
+                    start: match[1],
+                    end: match[2] || match[1]
+                });
+            }
+
+            return references;
+        },
+
+        /**
+         * List the page labels a reference covers. Numeric ranges are expanded;
+         * other ranges (e.g. "iv-1") keep only their endpoints.
+         * @returns {Array<string>} - Page labels
+         */
+        expandPageRange(start, end) {
+            if (start === end) {
+                return [start];
+            }
+
+            if (/^\d+$/.test(start) && /^\d+$/.test(end)) {
+                const first = parseInt(start, 10);
+                const last = parseInt(end, 10);
+                if (last > first && last - first < MAX_RANGE_PAGES) {
+                    return Array.from({ length: last - first + 1 }, (_, i) => String(first + i));
+                }
+            }
+
+            return [start, end];
+        },
+
         /**
          * Get the reader instance for an attachment
          */
@@ -51,6 +189,8 @@
 
         /**
          * Scroll to a specific page in an open reader
+         * @param {Object} reader - Reader instance
+         * @param {number} pageNumber - Physical page number (1-indexed)
          */
         async scrollToPage(reader, pageNumber) {
             try {
@@ -85,21 +225,22 @@
         /**
          * Create a clickable page reference element
          * @param {number} attachmentID - Attachment ID
-         * @param {number} pageNumber - Page number
+         * @param {number|string} pageLabel - Page as cited
          * @param {Document} doc - Document to create element in
+         * @param {string} text - Optional display text (defaults to "page N")
          * @returns {HTMLElement} - Clickable span element
          */
-        createPageReference(attachmentID, pageNumber, doc) {
+        createPageReference(attachmentID, pageLabel, doc, text = `page ${pageLabel}`) {
             const span = doc.createElement("span");
             span.className = "paper-chat-page-ref";
-            span.textContent = `page ${pageNumber}`;
-            span.dataset.page = pageNumber;
+            span.textContent = text;
+            span.dataset.page = pageLabel;
             span.dataset.attachmentId = attachmentID;
-            span.title = `Click to go to page ${pageNumber}`;
+            span.title = `Click to go to page ${pageLabel}`;
 
             span.addEventListener("click", (e) => {
                 e.preventDefault();
-                this.navigateToPage(attachmentID, pageNumber);
+                this.navigateToPage(attachmentID, pageLabel);
             });
 
             return span;
@@ -115,37 +256,31 @@
         parseAndLinkReferences(text, attachmentID, doc) {
             const fragment = doc.createDocumentFragment();
 
-            // Pattern to match page references
-            const pagePattern = /(?:page|Page|PAGE)\s*(\d+)(?:\s*[-–]\s*(\d+))?/g;
-
             let lastIndex = 0;
-            let match;
 
-            while ((match = pagePattern.exec(text)) !== null) {
+            for (const ref of this.findPageReferences(text)) {
                 // Add text before the match
-                if (match.index > lastIndex) {
+                if (ref.index > lastIndex) {
                     fragment.appendChild(
-                        doc.createTextNode(text.substring(lastIndex, match.index))
+                        doc.createTextNode(text.substring(lastIndex, ref.index))
                     );
                 }
 
-                // Create clickable reference(s)
-                const startPage = parseInt(match[1], 10);
-                const endPage = match[2] ? parseInt(match[2], 10) : startPage;
-
-                if (startPage === endPage) {
-                    fragment.appendChild(this.createPageReference(attachmentID, startPage, doc));
+                // Create clickable reference(s), keeping the wording the model used
+                if (ref.start === ref.end) {
+                    fragment.appendChild(this.createPageReference(attachmentID, ref.start, doc, ref.text));
                 } else {
                     // Range: "pages 5-7"
+                    const prefix = ref.text.substring(0, ref.text.indexOf(ref.start));
                     const rangeSpan = doc.createElement("span");
-                    rangeSpan.appendChild(doc.createTextNode("pages "));
-                    rangeSpan.appendChild(this.createPageReference(attachmentID, startPage, doc));
-                    rangeSpan.appendChild(doc.createTextNode("-"));
-                    rangeSpan.appendChild(this.createPageReference(attachmentID, endPage, doc));
+                    rangeSpan.appendChild(doc.createTextNode(prefix));
+                    rangeSpan.appendChild(this.createPageReference(attachmentID, ref.start, doc, ref.start));
+                    rangeSpan.appendChild(doc.createTextNode("–"));
+                    rangeSpan.appendChild(this.createPageReference(attachmentID, ref.end, doc, ref.end));
                     fragment.appendChild(rangeSpan);
                 }
 
-                lastIndex = match.index + match[0].length;
+                lastIndex = ref.index + ref.text.length;
             }
 
             // Add remaining text
@@ -157,47 +292,114 @@
         },
 
         /**
-         * Highlight text on a page (if supported)
-         * Note: This is a best-effort feature due to Zotero API limitations
+         * Open a page and highlight a passage on it with the reader's find bar
+         * @param {number} attachmentID - Attachment ID
+         * @param {number} pageIndex - 0-based page index
+         * @param {string} searchText - Passage to highlight
+         * @returns {Promise<boolean>} - Whether the search could be started
          */
-        async highlightTextOnPage(attachmentID, pageNumber, searchText) {
-            const reader = await this.getReaderForAttachment(attachmentID);
-            if (!reader) {
-                // Open the PDF first, then try to highlight
-                await this.navigateToPage(attachmentID, pageNumber);
-                // Wait for reader to open
-                await Zotero.Promise.delay(1000);
-            }
-
+        async highlightTextOnPage(attachmentID, pageIndex, searchText) {
             try {
-                // Try to use the search feature to highlight
-                if (reader?._iframeWindow) {
-                    const pdfViewer = reader._iframeWindow?.PDFViewerApplication;
-                    if (pdfViewer?.findController) {
-                        pdfViewer.findController.executeCommand("find", {
-                            query: searchText.substring(0, 50), // Limit search length
-                            phraseSearch: true,
-                            highlightAll: true
-                        });
-                    }
+                const attachment = await Zotero.Items.getAsync(attachmentID);
+                if (!attachment) return false;
+
+                await this.openPageIndex(attachment, pageIndex);
+
+                // A newly opened reader takes a moment to load its document
+                const app = await this.waitForViewer(attachmentID);
+                if (!app) {
+                    Zotero.debug("Paper Chat: Reader not ready, showing page only");
+                    return false;
                 }
+
+                const query = this.getSearchPhrase(searchText);
+                const findOptions = {
+                    source: null,
+                    type: "",
+                    query,
+                    phraseSearch: true,
+                    caseSensitive: false,
+                    entireWord: false,
+                    highlightAll: true,
+                    findPrevious: false,
+                    matchDiacritics: false
+                };
+
+                if (app.eventBus) {
+                    app.eventBus.dispatch("find", findOptions);
+                } else if (app.findController) {
+                    // Older PDF.js
+                    app.findController.executeCommand("find", findOptions);
+                } else {
+                    return false;
+                }
+                return true;
             } catch (e) {
                 Zotero.debug(`Paper Chat: Text highlight not available: ${e}`);
+                return false;
+            }
+        },
+
+        /**
+         * Wait for the reader of an attachment to have its PDF loaded
+         * @returns {Promise<Object|null>} - PDFViewerApplication, or null on timeout
+         */
+        async waitForViewer(attachmentID, timeoutMs = 10000) {
+            const start = Date.now();
+            while (Date.now() - start < timeoutMs) {
+                const reader = await this.getReaderForAttachment(attachmentID);
+                const app = reader && this.getViewerApplication(reader);
+                if (app?.pdfDocument) {
+                    return app;
+                }
+                await Zotero.Promise.delay(250);
+            }
+            return null;
+        },
+
+        /**
+         * Get the PDF.js viewer application of a reader
+         */
+        getViewerApplication(reader) {
+            return reader._internalReader?._primaryView?._iframeWindow?.PDFViewerApplication ||
+                reader._iframeWindow?.PDFViewerApplication ||
+                reader._internalReader?._iframeWindow?.PDFViewerApplication ||
+                null;
+        },
+
+        /**
+         * Shorten a quote to a phrase the find bar can match: the words
+         * before any "..." elision, up to about 80 characters
+         */
+        getSearchPhrase(text) {
+            const phrase = text.split(/\.{3}|…/)[0].replace(/\s+/g, " ").trim();
+            if (phrase.length <= 80) {
+                return phrase;
             }
+            const cut = phrase.substring(0, 80);
+            return cut.substring(0, cut.lastIndexOf(" ")) || cut;
         },
 
         /**
          * Get current page from active reader
+         * @param {number} attachmentID - Optional; use the reader of this attachment
+         * @returns {number|null} - Physical page number (1-indexed)
          */
-        getCurrentPage() {
+        getCurrentPage(attachmentID = null) {
             const readers = Zotero.Reader?._readers || [];
             if (readers.length === 0) return null;
 
-            const activeReader = readers.find(r => r._window?.document?.hasFocus?.()) || readers[0];
+            const activeReader = attachmentID
+                ? readers.find(r => r._item?.id === attachmentID)
+                : readers.find(r => r._window?.document?.hasFocus?.()) || readers[0];
+
+            if (!activeReader) return null;
 
             try {
-                const pdfViewer = activeReader?._iframeWindow?.PDFViewerApplication?.pdfViewer;
-                return pdfViewer?.currentPageNumber || null;
+                // The reader's saved view state has the page even before the viewer has loaded
+                const pageIndex = activeReader.state?.pageIndex;
+                return this.getViewerApplication(activeReader)?.pdfViewer?.currentPageNumber ||
+                    (Number.isInteger(pageIndex) ? pageIndex + 1 : null);
             } catch (e) {
                 return null;
             }
@@ -0,0 +1,178 @@
+/* global Zotero, PaperChat */
+/* Prompt Library - User-defined quick actions and prompt templates */
+
+(function () {
+    const PREF = "extensions.zotero.paperchat.promptLibrary";
+    const EXPORT_FORMAT = "paperchat-prompts";
+    const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+    // Filled in from the chat (or the batch item) when a template is run
+    const VARIABLES = ["title", "authors", "year", "selection", "currentPage"];
+
+    const DEFAULT_TEMPLATES = [
+        { id: "summarize", name: "Summarize", icon: "📝", visible: true, template: "Please provide a concise summary of this paper, including the main research question, methodology, key findings, and conclusions. Keep it to about 3-4 paragraphs." },
+        { id: "findings", name: "Key Findings", icon: "🔍", visible: true, template: "What are the key findings and results of this paper? Please list them with their significance and the page numbers where they are discussed." },
+        { id: "methodology", name: "Methodology", icon: "🔬", visible: true, template: "Explain the methodology used in this paper. What approach did the researchers take, what data did they use, and how did they analyze it?" },
+        { id: "figures", name: "Explain Figures", icon: "🖼️", visible: true, attachPage: true, template: "Explain all figures and tables on the attached page image (page {{currentPage}}): what each one shows, how to read it (axes, units, symbols), and what it contributes to the paper's argument. Refer to them by their numbers (e.g. \"Figure 3\")." },
+        { id: "conclusions", name: "Conclusions", icon: "🏁", visible: false, template: "What are the main conclusions of this paper? What do the authors suggest for future research?" },
+        { id: "contributions", name: "Contributions", icon: "💡", visible: false, template: "What are the main contributions of this paper to its field? Why is this research significant?" },
+        { id: "limitations", name: "Limitations", icon: "⚠️", visible: false, template: "What are the limitations of this study as discussed in the paper?" },
+        { id: "related", name: "Related Work", icon: "🔗", visible: false, template: "What related work and prior research does this paper build upon?" }
+    ];
+
+    /**
+     * Prompt Library - the quick-action prompts, kept as JSON in a pref
+     *
+     * A template is { id, name, icon, template, model, visible, attachPage }: model
+     * is a model ID of the active provider ("" for the selected model), and
+     * attachPage attaches the page open in the reader as an image. The array
+     * order is the order of the buttons.
+     */
+    PaperChat.PromptLibrary = {
+        VARIABLES,
+
+        /**
+         * All templates, in button order
+         * @returns {Array<Object>} - Templates
+         */
+        getTemplates() {
+            const json = Zotero.Prefs.get(PREF, true);
+            if (json) {
+                try {
+                    return this.normalize(JSON.parse(json));
+                } catch (e) {
+                    Zotero.logError(`Paper Chat: Invalid prompt library, using the defaults: ${e}`);
+                }
+            }
+            return this.getDefaultTemplates();
+        },
+
+        /**
+         * The built-in templates
+         */
+        getDefaultTemplates() {
+            return this.normalize(DEFAULT_TEMPLATES);
+        },
+
+        /**
+         * Templates shown as buttons in the chat pane
+         */
+        getVisibleTemplates() {
+            return this.getTemplates().filter(t => t.visible);
+        },
+
+        /**
+         * Find a template by ID
+         * @returns {Object|null} - Template
+         */
+        getTemplate(id) {
+            return this.getTemplates().find(t => t.id === id) || null;
+        },
+
+        /**
+         * Save the library
+         * @param {Array<Object>} templates - Templates, in button order
+         */
+        saveTemplates(templates) {
+            Zotero.Prefs.set(PREF, JSON.stringify(this.normalize(templates)), true);
+        },
+
+        /**
+         * Fill in a template's {{variables}}; unknown ones are left as written
+         * @param {string} template - Template text
+         * @param {Object} variables - Values by name (missing ones become "")
+         * @returns {string} - Prompt
+         */
+        render(template, variables) {
+            return template.replace(VARIABLE, (match, name) =>
+                (VARIABLES.includes(name) ? String(variables[name] ?? "") : match));
+        },
+
+        /**
+         * Variables describing items: their titles, authors and years (joined with "; " for several)
+         * @param {Array<Zotero.Item>} items - Regular items
+         * @returns {Object} - { title, authors, year }
+         */
+        getItemVariables(items) {
+            const join = values => values.filter(Boolean).join("; ");
+            return {
+                title: join(items.map(item => item.getField("title"))),
+                authors: join(items.map(item => item.getCreators()
+                    .map(c => (c.fieldMode === 1 ? c.lastName : `${c.firstName} ${c.lastName}`.trim()))
+                    .join(", "))),
+                year: join(items.map(item => String(Zotero.Date.strToDate(item.getField("date")).year || "")))
+            };
+        },
+
+        /**
+         * The library as a JSON file to share
+         * @param {Array<Object>} templates - Templates (default: the saved library)
+         */
+        exportJSON(templates = this.getTemplates()) {
+            const data = { format: EXPORT_FORMAT, version: 1, templates: this.normalize(templates) };
+            return JSON.stringify(data, null, 2);
+        },
+
+        /**
+         * Read templates from an exported library (or a plain array of templates)
+         * @param {string} json - File contents
+         * @returns {Array<Object>} - Templates
+         */
+        parseImport(json) {
+            let data;
+            try {
+                data = JSON.parse(json);
+            } catch (e) {
+                throw new Error("The file is not valid JSON");
+            }
+            const templates = Array.isArray(data) ? data : data?.templates;
+            if (!Array.isArray(templates) || templates.some(t => typeof t?.template !== "string")) {
+                throw new Error("The file is not a Paper Chat prompt library");
+            }
+            return this.normalize(templates);
+        },
+
+        /**
+         * Merge imported templates into a library: same ID replaces, new ones are appended
+         * @returns {Array<Object>} - Merged templates
+         */
+        merge(templates, imported) {
+            const merged = templates.map(t => imported.find(i => i.id === t.id) || t);
+            return [...merged, ...imported.filter(i => !templates.some(t => t.id === i.id))];
+        },
+
+        /**
+         * Fill in missing properties and give every template a unique ID
+         */
+        normalize(templates) {
+            const ids = new Set();
+            return templates.map((t) => {
+                const name = String(t.name || "").trim() || "Untitled";
+                let id = String(t.id || "").trim() || this.createID(name);
+                for (let n = 2; ids.has(id); n++) {
+                    id = `${t.id || this.createID(name)}-${n}`;
+                }
+                ids.add(id);
+
+                return {
+                    id,
+                    name,
+                    icon: String(t.icon || "").trim(),
+                    template: String(t.template || ""),
+                    model: String(t.model || "").trim(),
+                    visible: t.visible !== false,
+                    attachPage: !!t.attachPage
+                };
+            });
+        },
+
+        /**
+         * ID for a new template
+         */
+        createID(name) {
+            return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "prompt";
+        }
+    };
+
+    Zotero.debug("Paper Chat: Prompt Library module loaded");
+})();
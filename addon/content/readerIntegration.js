@@ -0,0 +1,179 @@
+/* global Zotero, PaperChat */
+/* Reader Integration - Ask about reader selections and annotations */
+
+(function () {
+    const ACTIONS = [
+        { id: "explain", label: "Explain" },
+        { id: "ask", label: "Ask Paper Chat…" },
+        { id: "translate", label: "Translate" }
+    ];
+
+    /**
+     * Reader Integration - adds Paper Chat actions to the reader's text selection
+     * popup and annotation context menu
+     */
+    PaperChat.ReaderIntegration = {
+        handlers: null,
+
+        /**
+         * Register reader event listeners
+         */
+        register() {
+            if (this.handlers || !Zotero.Reader?.registerEventListener) return;
+
+            this.handlers = {
+                renderTextSelectionPopup: event => this.onTextSelectionPopup(event),
+                createAnnotationContextMenu: event => this.onAnnotationContextMenu(event)
+            };
+
+            for (const [type, handler] of Object.entries(this.handlers)) {
+                Zotero.Reader.registerEventListener(type, handler, PaperChat.id);
+            }
+            Zotero.debug("Paper Chat: Registered reader actions");
+        },
+
+        /**
+         * Unregister reader event listeners
+         */
+        unregister() {
+            if (!this.handlers) return;
+
+            for (const [type, handler] of Object.entries(this.handlers)) {
+                Zotero.Reader.unregisterEventListener(type, handler);
+            }
+            this.handlers = null;
+        },
+
+        /**
+         * Add action buttons to the text selection popup
+         */
+        onTextSelectionPopup({ reader, doc, params, append }) {
+            const annotation = params.annotation;
+            if (!annotation?.text) return;
+
+            const container = doc.createElement("div");
+            container.className = "paper-chat-selection-actions";
+            container.style.cssText = "display: flex; gap: 4px; padding: 4px 0; flex-wrap: wrap;";
+
+            for (const action of ACTIONS) {
+                const button = doc.createElement("button");
+                button.className = "toolbar-button wide-button";
+                button.textContent = action.label;
+                button.addEventListener("click", () => {
+                    this.ask(reader, action.id, {
+                        text: annotation.text,
+                        pageIndex: annotation.position?.pageIndex,
+                        pageLabel: annotation.pageLabel
+                    });
+                });
+                container.appendChild(button);
+            }
+
+            append(container);
+        },
+
+        /**
+         * Add actions to the annotation context menu
+         */
+        onAnnotationContextMenu({ reader, params, append }) {
+            const selected = this.getAnnotations(reader, params.ids || []);
+
+            // Regions drawn with the area tool can be attached as images
+            const regions = selected.filter(a => a.annotationType === "image");
+            if (regions.length > 0) {
+                append({
+                    label: "Paper Chat: Attach Image",
+                    onCommand: () => this.attachRegions(reader, regions)
+                });
+            }
+
+            const annotations = selected.filter(a => a.annotationText || a.annotationComment);
+            if (annotations.length === 0) return;
+
+            for (const action of ACTIONS) {
+                append({
+                    label: `Paper Chat: ${action.label}`,
+                    onCommand: () => {
+                        this.ask(reader, action.id, this.getSelectionFromAnnotations(annotations));
+                    }
+                });
+            }
+        },
+
+        /**
+         * Look up annotation items by key
+         */
+        getAnnotations(reader, keys) {
+            const attachment = reader._item;
+            if (!attachment) return [];
+            return attachment.getAnnotations().filter(a => keys.includes(a.key));
+        },
+
+        /**
+         * Combine annotations into one selection: their text (or comments), and the first one's page
+         */
+        getSelectionFromAnnotations(annotations) {
+            const first = annotations[0];
+            let pageIndex;
+            try {
+                pageIndex = JSON.parse(first.annotationPosition).pageIndex;
+            } catch (e) {
+                pageIndex = undefined;
+            }
+
+            return {
+                text: annotations.map(a => a.annotationText || a.annotationComment).join("\n\n"),
+                pageIndex,
+                pageLabel: first.annotationPageLabel
+            };
+        },
+
+        /**
+         * Attach image annotations to the chat for the reader's attachment
+         * @param {Object} reader - Zotero reader instance
+         * @param {Array<Zotero.Item>} regions - Image annotations
+         */
+        async attachRegions(reader, regions) {
+            try {
+                const attachment = reader._item;
+                if (!attachment) return;
+
+                await PaperChat.ChatPanel.showAttachment(attachment);
+                for (const region of regions) {
+                    const position = JSON.parse(region.annotationPosition);
+                    await PaperChat.ChatPanel.attachImage(attachment, position.pageIndex, position.rects[0]);
+                }
+            } catch (e) {
+                Zotero.logError(`Paper Chat: Could not attach image: ${e}`);
+            }
+        },
+
+        /**
+         * Send a selection to the chat for the reader's attachment
+         * @param {Object} reader - Zotero reader instance
+         * @param {string} action - "explain", "ask" or "translate"
+         * @param {Object} selection - { text, pageIndex, pageLabel }
+         */
+        async ask(reader, action, selection) {
+            try {
+                const attachment = reader._item;
+                if (!attachment) return;
+
+                const surrounding = Number.isInteger(selection.pageIndex)
+                    ? await PaperChat.PDFExtractor.getSurroundingText(attachment.id, selection.pageIndex, selection.text)
+                    : "";
+
+                await PaperChat.ChatPanel.askAboutSelection(attachment, action, {
+                    ...selection,
+                    pageLabel: selection.pageLabel ||
+                        (Number.isInteger(selection.pageIndex) ? String(selection.pageIndex + 1) : null),
+                    surrounding
+                });
+            } catch (e) {
+                Zotero.logError(`Paper Chat: Reader action failed: ${e}`);
+            }
+        }
+    };
+
+    Zotero.debug("Paper Chat: Reader Integration module loaded");
+})();
@@ -0,0 +1,358 @@
+/* global Zotero, PaperChat */
+/* Retrieval Index - Pick the passages of long papers that matter for a question */
+
+(function () {
+    // Passages are windows of words within a single page
+    const CHUNK_WORDS = 200;
+    const BM25_K1 = 1.2;
+    const BM25_B = 0.75;
+    const STOPWORDS = new Set([
+        "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does", "for", "from", "has",
+        "have", "how", "in", "is", "it", "its", "of", "on", "or", "paper", "that", "the", "their",
+        "there", "these", "this", "to", "was", "were", "what", "when", "where", "which", "who",
+        "why", "with", "you", "your", "please", "about", "into", "they", "them", "than", "then"
+    ]);
+    const SUMMARY_PROMPT = "Summarize this paper in about 150 words for someone comparing it with other papers: its research question, methods and data, main findings, and conclusions. Cite page numbers for the findings.";
+
+    /**
+     * Retrieval Index - local passage index over extracted papers (BM25, or
+     * embeddings from the provider when enabled in preferences)
+     */
+    PaperChat.RetrievalIndex = {
+        summaries: new Map(), // attachmentID -> { file, summary }, file being the summarized PDF's "modTime:size"
+
+        /**
+         * Build the paper context for a question. Whole papers are sent when they fit
+         * the context budget; otherwise the most relevant passages, labelled with their pages.
+         * @param {Array} papers - Array of { title, text, pages } from PDFExtractor.extractContent,
+         *   or { title, error: true } for papers that couldn't be read
+         * @param {string} question - The user's question (plus recent context)
+         * @param {Object} index - Index from createIndex(papers), reused across questions
+         * @param {Object} options - Optional { onStatus, signal, summarize, checkBudget }; with summarize, papers
+         *   that don't fit are each summarized first, and passages fill the rest of the budget;
+         *   checkBudget(estimate) is awaited before summary and embedding requests, and throws to stop
+         * @returns {Promise<Object>} - { text, passageCount } (passageCount is 0 when papers are sent whole)
+         */
+        async buildContext(papers, question, index, options = {}) {
+            let budget = PaperChat.getContextTokenLimit();
+            const fullText = papers.map(paper => this.formatPaper(paper, paper.text)).join("");
+
+            if (PaperChat.PDFExtractor.estimateTokens(fullText) <= budget) {
+                return { text: fullText, passageCount: 0 };
+            }
+
+            let summaries = null;
+            if (options.summarize) {
+                summaries = await this.summarizePapers(papers, options);
+                budget -= PaperChat.PDFExtractor.estimateTokens(summaries.join(""));
+            }
+
+            options.onStatus?.("Selecting relevant passages...");
+            const ranked = await this.search(index, question, options);
+            // Summaries already stand in for each paper's opening
+            const selected = this.selectWithinBudget(index, ranked, Math.max(budget, 0), !summaries);
+
+            Zotero.debug(`Paper Chat: Sending ${selected.length} of ${index.chunks.length} passages`);
+
+            const text = papers.map((paper, paperIndex) => {
+                const passages = selected.filter(chunk => chunk.paperIndex === paperIndex);
+                const parts = [];
+                if (summaries?.[paperIndex]) {
+                    parts.push(`[Summary of this paper]\n${summaries[paperIndex]}`);
+                }
+                if (passages.length) {
+                    parts.push(this.formatPassages(passages));
+                }
+                const excerpts = parts.length
+                    ? parts.join("\n\n")
+                    : "[No passages from this paper fit in the context budget]";
+                return this.formatPaper(paper, excerpts, true);
+            }).join("");
+
+            return { text, passageCount: selected.length };
+        },
+
+        /**
+         * Summarize each paper with the active model (summaries are reused for the session,
+         * until the PDF changes)
+         * @param {Array} papers - Extracted papers
+         * @param {Object} options - { onStatus, signal, checkBudget }
+         * @returns {Promise<Array<string>>} - One summary per paper ("" if it couldn't be summarized)
+         */
+        async summarizePapers(papers, options = {}) {
+            const budget = PaperChat.getContextTokenLimit();
+            const summaries = [];
+
+            const files = [];
+            for (const paper of papers) {
+                files.push(paper.error ? null : await this.getFileKey(paper.attachmentID));
+            }
+            const getCached = (paper, i) => {
+                const cached = this.summaries.get(paper.attachmentID);
+                return cached && cached.file === files[i] ? cached.summary : undefined;
+            };
+
+            // The papers still to summarize are checked against the daily budget together
+            const pending = papers.filter((paper, i) => !paper.error && getCached(paper, i) === undefined);
+            if (pending.length > 0) {
+                await options.checkBudget?.(pending.reduce(
+                    (sum, paper) => sum + Math.min(PaperChat.PDFExtractor.estimateTokens(paper.text || ""), budget), 0));
+            }
+
+            for (const [i, paper] of papers.entries()) {
+                if (paper.error) {
+                    summaries.push("");
+                    continue;
+                }
+
+                let summary = getCached(paper, i);
+                if (summary === undefined) {
+                    options.onStatus?.(`Summarizing ${i + 1}/${papers.length}: ${paper.title.substring(0, 20)}...`);
+                    try {
+                        const text = PaperChat.PDFExtractor.truncateToTokenLimit(paper.text || "", budget);
+                        const response = await PaperChat.LLMService.sendMessage(
+                            SUMMARY_PROMPT,
+                            this.formatPaper(paper, text),
+                            [],
+                            [],
+                            { signal: options.signal, quoteCitations: false }
+                        );
+                        summary = response.text.trim();
+                        this.summaries.set(paper.attachmentID, { file: files[i], summary });
+                    } catch (e) {
+                        if (e.name === "AbortError") throw e;
+                        Zotero.logError(`Paper Chat: Could not summarize ${paper.title}: ${e}`);
+                        summary = "";
+                    }
+                }
+                summaries.push(summary);
+            }
+
+            return summaries;
+        },
+
+        /**
+         * Modification time and size of an attachment's file, so a changed PDF is summarized again
+         * @returns {Promise<string|null>} - "modTime:size", or null if the file is missing
+         */
+        async getFileKey(attachmentID) {
+            const attachment = await Zotero.Items.getAsync(attachmentID);
+            const file = attachment && await PaperChat.PDFExtractor.getFileInfo(attachment);
+            return file ? `${file.lastModified}:${file.size}` : null;
+        },
+
+        /**
+         * Split papers into passages and compute BM25 statistics
+         * @param {Array} papers - Extracted papers
+         * @returns {Object} - { chunks, docFreq, avgLength, vectors }
+         */
+        createIndex(papers) {
+            const chunks = [];
+
+            papers.forEach((paper, paperIndex) => {
+                if (paper.error) return;
+
+                // Unlabelled text (e.g. from the full-text index) is treated as one page
+                const pages = paper.pages?.length
+                    ? paper.pages
+                    : [{ pageNumber: null, pageLabel: null, text: paper.text || "" }];
+
+                for (const page of pages) {
+                    const words = (page.text || "").split(/\s+/).filter(Boolean);
+                    for (let start = 0; start < words.length; start += CHUNK_WORDS) {
+                        const text = words.slice(start, start + CHUNK_WORDS).join(" ");
+                        const terms = this.tokenize(text);
+                        chunks.push({
+                            id: chunks.length,
+                            paperIndex,
+                            pageLabel: page.pageLabel || (page.pageNumber ? String(page.pageNumber) : null),
+                            text,
+                            termFreq: this.countTerms(terms),
+                            length: terms.length
+                        });
+                    }
+                }
+            });
+
+            const docFreq = new Map();
+            for (const chunk of chunks) {
+                for (const term of chunk.termFreq.keys()) {
+                    docFreq.set(term, (docFreq.get(term) || 0) + 1);
+                }
+            }
+
+            const avgLength = chunks.reduce((sum, c) => sum + c.length, 0) / (chunks.length || 1);
+
+            return { chunks, docFreq, avgLength, vectors: null, embeddingsFailed: false };
+        },
+
+        /**
+         * Rank passages for a query
+         * @returns {Promise<Array<Object>>} - Chunks, most relevant first
+         */
+        async search(index, query, options = {}) {
+            if (PaperChat.getRetrievalMode() === "embeddings" && !index.embeddingsFailed) {
+                // Checked before, not inside, the fallback: going over budget isn't an embedding failure
+                if (!index.vectors) {
+                    await options.checkBudget?.(PaperChat.PDFExtractor.estimateTokens(index.chunks.map(c => c.text).join("\n")));
+                }
+                try {
+                    return await this.embeddingSearch(index, query, options);
+                } catch (e) {
+                    if (e.name === "AbortError") throw e;
+                    // Don't retry embeddings for every question once they've failed
+                    index.embeddingsFailed = true;
+                    Zotero.logError(`Paper Chat: Embedding search failed, using keyword search: ${e}`);
+                }
+            }
+            return this.bm25Search(index, query);
+        },
+
+        /**
+         * Rank passages by BM25
+         */
+        bm25Search(index, query) {
+            const queryTerms = [...new Set(this.tokenize(query))];
+            const total = index.chunks.length;
+
+            const scored = index.chunks.map((chunk) => {
+                let score = 0;
+                for (const term of queryTerms) {
+                    const tf = chunk.termFreq.get(term);
+                    if (!tf) continue;
+                    const df = index.docFreq.get(term);
+                    const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                    score += idf * (tf * (BM25_K1 + 1)) /
+                        (tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / index.avgLength));
+                }
+                return { chunk, score };
+            });
+
+            return scored.sort((a, b) => b.score - a.score).map(s => s.chunk);
+        },
+
+        /**
+         * Rank passages by cosine similarity of provider embeddings.
+         * Passage vectors are computed once per index.
+         */
+        async embeddingSearch(index, query, options) {
+            if (!index.vectors) {
+                options.onStatus?.(`Indexing ${index.chunks.length} passages...`);
+                index.vectors = await PaperChat.LLMService.embed(index.chunks.map(c => c.text), options);
+            }
+
+            const [queryVector] = await PaperChat.LLMService.embed([query], options);
+
+            return index.chunks
+                .map((chunk, i) => ({ chunk, score: this.cosineSimilarity(queryVector, index.vectors[i]) }))
+                .sort((a, b) => b.score - a.score)
+                .map(s => s.chunk);
+        },
+
+        /**
+         * Take ranked passages until the budget is used up. Unless seedOpenings is false,
+         * the opening passage of every paper is always included so no paper drops out of the context.
+         */
+        selectWithinBudget(index, ranked, budget, seedOpenings = true) {
+            const selected = new Map();
+            let used = 0;
+
+            const take = (chunk) => {
+                if (selected.has(chunk.id)) return true;
+                const tokens = PaperChat.PDFExtractor.estimateTokens(chunk.text) + 10;
+                if (used + tokens > budget) return false;
+                selected.set(chunk.id, chunk);
+                used += tokens;
+                return true;
+            };
+
+            if (seedOpenings) {
+                const openings = new Map();
+                for (const chunk of index.chunks) {
+                    if (!openings.has(chunk.paperIndex)) openings.set(chunk.paperIndex, chunk);
+                }
+                openings.forEach(take);
+            }
+
+            for (const chunk of ranked) {
+                if (!take(chunk)) break;
+            }
+
+            // Back in reading order
+            return [...selected.values()].sort((a, b) => a.id - b.id);
+        },
+
+        /**
+         * Join selected passages, marking pages and gaps
+         */
+        formatPassages(passages) {
+            let text = "";
+            let lastChunk = null;
+
+            for (const chunk of passages) {
+                const adjacent = lastChunk && chunk.id === lastChunk.id + 1;
+                if (lastChunk && !adjacent) {
+                    text += "\n\n[...]";
+                }
+                if (!adjacent || chunk.pageLabel !== lastChunk.pageLabel) {
+                    text += chunk.pageLabel ? `\n\n[Page ${chunk.pageLabel}]\n` : "\n\n";
+                } else {
+                    text += " ";
+                }
+                text += chunk.text;
+                lastChunk = chunk;
+            }
+
+            return text.trim();
+        },
+
+        /**
+         * Wrap one paper's text with its title
+         */
+        formatPaper(paper, text, excerpts = false) {
+            if (paper.error) {
+                return `\n\n--- Error Reading Paper: ${paper.title} ---\n`;
+            }
+            const note = excerpts
+                ? "[Excerpts most relevant to the question; other parts of this paper are omitted]\n"
+                : "";
+            return `\n\n--- Start of Paper: ${paper.title} ---\n${note}${text}\n--- End of Paper ---\n`;
+        },
+
+        /**
+         * Lowercase words without stopwords
+         */
+        tokenize(text) {
+            return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+                .filter(word => word.length > 1 && !STOPWORDS.has(word));
+        },
+
+        /**
+         * Count term frequencies
+         */
+        countTerms(terms) {
+            const counts = new Map();
+            for (const term of terms) {
+                counts.set(term, (counts.get(term) || 0) + 1);
+            }
+            return counts;
+        },
+
+        /**
+         * Cosine similarity of two vectors
+         */
+        cosineSimilarity(a, b) {
+            let dot = 0;
+            let normA = 0;
+            let normB = 0;
+            for (let i = 0; i < a.length; i++) {
+                dot += a[i] * b[i];
+                normA += a[i] * a[i];
+                normB += b[i] * b[i];
+            }
+            return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+        }
+    };
+
+    Zotero.debug("Paper Chat: Retrieval Index module loaded");
+})();
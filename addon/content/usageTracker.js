@@ -0,0 +1,246 @@
+/* global Zotero, PaperChat */
+/* Usage Tracker - Token counts, costs and the daily token budget */
+
+(function () {
+    const PRICES_PREF = "extensions.zotero.paperchat.modelPrices";
+    const BUDGET_PREF = "extensions.zotero.paperchat.dailyTokenBudget";
+    const BUDGET_ACTION_PREF = "extensions.zotero.paperchat.budgetAction";
+    // Prices are per million tokens
+    const PRICE_UNIT = 1000000;
+    // The usage table (see ConversationStore.getDB)
+    const MIGRATIONS = [
+        async (db) => {
+            await db.queryAsync(`CREATE TABLE IF NOT EXISTS usage (
+                usageID INTEGER PRIMARY KEY,
+                day TEXT NOT NULL,
+                providerID TEXT NOT NULL,
+                model TEXT NOT NULL,
+                inputTokens INTEGER NOT NULL,
+                outputTokens INTEGER NOT NULL,
+                cachedTokens INTEGER NOT NULL DEFAULT 0,
+                createdAt INTEGER NOT NULL
+            )`);
+            await db.queryAsync("CREATE INDEX IF NOT EXISTS usage_day ON usage(day)");
+        }
+    ];
+
+    /**
+     * Usage Tracker - every model request is recorded in the usage table of
+     * paperchat.sqlite with its token counts, as normalized by the provider
+     * ({ inputTokens, outputTokens, cachedTokens }), for the per-day and
+     * per-model totals, the costs, and the daily budget.
+     *
+     * Prices are a pref with one model per line: "model input output [cached]",
+     * in US dollars per million tokens. A line applies to model IDs it is a prefix of.
+     */
+    PaperChat.UsageTracker = {
+        /**
+         * Record the tokens of one request
+         * @param {string} providerID - Provider ID
+         * @param {string} model - Model that answered
+         * @param {Object} usage - { inputTokens, outputTokens, cachedTokens }
+         */
+        async record(providerID, model, usage) {
+            try {
+                const db = await this.getDB();
+                const now = Date.now();
+                await db.queryAsync(
+                    "INSERT INTO usage (day, providerID, model, inputTokens, outputTokens, cachedTokens, createdAt) "
+                    + "VALUES (?, ?, ?, ?, ?, ?, ?)",
+                    [this.getDay(now), providerID, model, usage.inputTokens, usage.outputTokens, usage.cachedTokens || 0, now]
+                );
+            } catch (e) {
+                Zotero.debug(`Paper Chat: Could not record token usage: ${e}`);
+            }
+        },
+
+        /**
+         * Tokens used per day, most recent first
+         * @param {number} days - Number of days, counting today
+         * @returns {Promise<Array<Object>>} - Array of { day, inputTokens, outputTokens, cost }
+         */
+        async getDailyTotals(days = 7) {
+            const since = this.getDay(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+            const db = await this.getDB();
+            const rows = await db.queryAsync(
+                "SELECT day, model, SUM(inputTokens) AS inputTokens, SUM(outputTokens) AS outputTokens, "
+                + "SUM(cachedTokens) AS cachedTokens FROM usage WHERE day >= ? GROUP BY day, model ORDER BY day DESC",
+                [since]
+            );
+
+            // Costs depend on the model, so rows are summed per day here
+            const totals = new Map();
+            for (const row of rows) {
+                const total = totals.get(row.day) || { day: row.day, inputTokens: 0, outputTokens: 0, cost: 0 };
+                total.inputTokens += row.inputTokens;
+                total.outputTokens += row.outputTokens;
+                total.cost = this.addCost(total.cost, this.getCost(row.model, row));
+                totals.set(row.day, total);
+            }
+            return [...totals.values()];
+        },
+
+        /**
+         * Tokens used per model, most used first
+         * @param {number} days - Number of days, counting today
+         * @returns {Promise<Array<Object>>} - Array of { model, requests, inputTokens, outputTokens, cachedTokens, cost }
+         */
+        async getModelTotals(days = 30) {
+            const since = this.getDay(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+            const db = await this.getDB();
+            const rows = await db.queryAsync(
+                "SELECT model, COUNT(*) AS requests, SUM(inputTokens) AS inputTokens, SUM(outputTokens) AS outputTokens, "
+                + "SUM(cachedTokens) AS cachedTokens FROM usage WHERE day >= ? GROUP BY model "
+                + "ORDER BY SUM(inputTokens + outputTokens) DESC",
+                [since]
+            );
+            return rows.map(row => ({
+                model: row.model,
+                requests: row.requests,
+                inputTokens: row.inputTokens,
+                outputTokens: row.outputTokens,
+                cachedTokens: row.cachedTokens,
+                cost: this.getCost(row.model, row)
+            }));
+        },
+
+        /**
+         * Tokens (input and output) used today
+         */
+        async getTodayTokens() {
+            const db = await this.getDB();
+            const total = await db.valueQueryAsync(
+                "SELECT SUM(inputTokens + outputTokens) FROM usage WHERE day = ?",
+                [this.getDay(Date.now())]
+            );
+            return total || 0;
+        },
+
+        /**
+         * Check a request against the daily budget before sending it
+         * @param {number} estimate - Estimated input tokens of the request
+         * @returns {Promise<Object|null>} - { used, budget, estimate, block }, or null if it fits
+         */
+        async checkBudget(estimate) {
+            const budget = this.getDailyBudget();
+            if (!budget) return null;
+
+            const used = await this.getTodayTokens();
+            if (used + estimate <= budget) return null;
+            return { used, budget, estimate, block: this.getBudgetAction() === "block" };
+        },
+
+        /**
+         * Describe a budget check result for the user
+         */
+        formatBudgetWarning(check) {
+            return `This request (about ${this.formatTokens(check.estimate)} tokens) would exceed today's token budget: `
+                + `${this.formatTokens(check.used)} of ${this.formatTokens(check.budget)} used.`;
+        },
+
+        /**
+         * Delete all recorded usage
+         */
+        async clear() {
+            const db = await this.getDB();
+            await db.queryAsync("DELETE FROM usage");
+        },
+
+        /**
+         * Cost of a model's tokens in US dollars
+         * @param {string} model - Model ID
+         * @param {Object} usage - { inputTokens, outputTokens, cachedTokens }
+         * @returns {number|null} - Cost, or null if the model has no price
+         */
+        getCost(model, usage) {
+            const price = this.getPrice(model);
+            if (!price) return null;
+
+            // Cached input tokens are part of the input and billed at their own rate when one is set
+            const cached = price.cached === null ? 0 : (usage.cachedTokens || 0);
+            return ((usage.inputTokens - cached) * price.input
+                + cached * price.cached
+                + usage.outputTokens * price.output) / PRICE_UNIT;
+        },
+
+        /**
+         * Sum of two costs, unknown (null) if either is
+         */
+        addCost(a, b) {
+            return a === null || b === null ? null : a + b;
+        },
+
+        /**
+         * Price of a model: the longest configured model ID it starts with
+         * @returns {Object|null} - { input, output, cached } per million tokens (cached may be null)
+         */
+        getPrice(model) {
+            let best = null;
+            for (const price of this.getPrices()) {
+                if (model.startsWith(price.model) && (!best || price.model.length > best.model.length)) {
+                    best = price;
+                }
+            }
+            return best;
+        },
+
+        /**
+         * Parse the price list pref, skipping malformed lines
+         * @returns {Array<Object>} - Array of { model, input, output, cached }
+         */
+        getPrices() {
+            const prices = [];
+            for (const line of (Zotero.Prefs.get(PRICES_PREF, true) || "").split("\n")) {
+                const [model, ...values] = line.trim().split(/[\s,]+/);
+                const [input, output, cached] = values.map(Number);
+                if (!model || model.startsWith("#") || Number.isNaN(input) || Number.isNaN(output) || output === undefined) continue;
+                prices.push({ model, input, output, cached: cached === undefined || Number.isNaN(cached) ? null : cached });
+            }
+            return prices;
+        },
+
+        /**
+         * Daily token budget (0 for none)
+         */
+        getDailyBudget() {
+            const budget = parseInt(Zotero.Prefs.get(BUDGET_PREF, true), 10);
+            return Number.isNaN(budget) ? 0 : Math.max(budget, 0);
+        },
+
+        /**
+         * What happens when a request would exceed the budget: "warn" (ask) or "block"
+         */
+        getBudgetAction() {
+            return Zotero.Prefs.get(BUDGET_ACTION_PREF, true) === "block" ? "block" : "warn";
+        },
+
+        /**
+         * Local date as YYYY-MM-DD
+         */
+        getDay(time) {
+            const date = new Date(time);
+            const pad = n => String(n).padStart(2, "0");
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        },
+
+        formatTokens(count) {
+            if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+            if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+            return String(count);
+        },
+
+        formatCost(cost) {
+            if (cost === null) return "";
+            return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+        },
+
+        /**
+         * The database, with the usage table
+         */
+        getDB() {
+            return PaperChat.ConversationStore.getDB("usageTracker", MIGRATIONS);
+        }
+    };
+
+    Zotero.debug("Paper Chat: Usage Tracker module loaded");
+})();
@@ -3,3 +3,35 @@ pref("extensions.zotero.paperchat.apiKey", "");
 pref("extensions.zotero.paperchat.model", "gemini-2.0-flash");
 pref("extensions.zotero.paperchat.maxHistoryLength", 20);
 pref("extensions.zotero.paperchat.systemPrompt", "You are a helpful research assistant analyzing academic papers. When referencing specific content, always mention the page number. Be concise but thorough.");
+pref("extensions.zotero.paperchat.streaming", true);
+pref("extensions.zotero.paperchat.renderMath", true);
+pref("extensions.zotero.paperchat.quoteCitations", true);
+pref("extensions.zotero.paperchat.highlightColor", "#ffd400");
+pref("extensions.zotero.paperchat.compareDimensions", "");
+pref("extensions.zotero.paperchat.promptLibrary", "");
+pref("extensions.zotero.paperchat.translationLanguage", "");
+pref("extensions.zotero.paperchat.batchConcurrency", 2);
+pref("extensions.zotero.paperchat.batchPaused", false);
+pref("extensions.zotero.paperchat.maxRetries", 3);
+pref("extensions.zotero.paperchat.contextTokens", 100000);
+pref("extensions.zotero.paperchat.retrieval", "bm25");
+pref("extensions.zotero.paperchat.pdfMode", "text");
+pref("extensions.zotero.paperchat.extractionCacheMB", 100);
+pref("extensions.zotero.paperchat.ocr", true);
+pref("extensions.zotero.paperchat.contextCacheMinutes", 60);
+pref("extensions.zotero.paperchat.dailyTokenBudget", 0);
+pref("extensions.zotero.paperchat.budgetAction", "warn");
+pref("extensions.zotero.paperchat.modelPrices", "");
+pref("extensions.zotero.paperchat.provider", "gemini");
+pref("extensions.zotero.paperchat.providers.gemini.baseURL", "https://generativelanguage.googleapis.com/v1beta");
+pref("extensions.zotero.paperchat.providers.gemini.models", "gemini-3-flash-preview,gemini-2.5-flash,gemini-2.5-flash-lite");
+pref("extensions.zotero.paperchat.providers.gemini.fallbackModels", "");
+pref("extensions.zotero.paperchat.providers.gemini.embeddingModel", "gemini-embedding-001");
+pref("extensions.zotero.paperchat.providers.openai.baseURL", "https://api.openai.com/v1");
+pref("extensions.zotero.paperchat.providers.openai.models", "gpt-4o-mini,gpt-4o");
+pref("extensions.zotero.paperchat.providers.openai.embeddingModel", "text-embedding-3-small");
+pref("extensions.zotero.paperchat.providers.anthropic.baseURL", "https://api.anthropic.com/v1");
+pref("extensions.zotero.paperchat.providers.anthropic.models", "claude-3-5-sonnet-latest,claude-3-5-haiku-latest");
+pref("extensions.zotero.paperchat.providers.ollama.baseURL", "http://localhost:11434");
+pref("extensions.zotero.paperchat.providers.ollama.models", "llama3.1,qwen2.5");
+pref("extensions.zotero.paperchat.providers.ollama.embeddingModel", "nomic-embed-text");